@@ -0,0 +1,334 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import multer from 'multer';
+import db from './database.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Directory where uploaded files are stored, next to tasks.db by default
+const ATTACHMENTS_DIR = process.env.ATTACHMENTS_DIR || path.join(__dirname, '..', 'attachments');
+
+// Largest file accepted in a single upload
+const MAX_FILE_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024; // 10 MB
+
+// Total size of the attachments each user may upload
+const USER_QUOTA_BYTES = parseInt(process.env.ATTACHMENT_QUOTA_BYTES) || 100 * 1024 * 1024; // 100 MB
+
+// MIME types accepted for upload, overridable as a comma-separated list
+const ALLOWED_MIME_TYPES = process.env.ATTACHMENT_MIME_TYPES
+  ? process.env.ATTACHMENT_MIME_TYPES.split(',').map(type => type.trim().toLowerCase())
+  : [
+      'image/jpeg',
+      'image/png',
+      'image/gif',
+      'image/webp',
+      'image/heic',
+      'application/pdf',
+      'text/plain',
+      'text/csv',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    ];
+
+// Brands of the ISO media files that hold HEIC/HEIF images
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+// How the files of each known MIME type are recognized: by the extension of their name and by
+// their first bytes. Types allowed through ATTACHMENT_MIME_TYPES that are not listed here are
+// accepted as declared.
+const FILE_TYPES = {
+  'image/jpeg': { extensions: ['.jpg', '.jpeg'], matches: head => hasBytes(head, 0, 'ffd8ff') },
+  'image/png': { extensions: ['.png'], matches: head => hasBytes(head, 0, '89504e470d0a1a0a') },
+  'image/gif': {
+    extensions: ['.gif'],
+    matches: head => hasBytes(head, 0, '474946383761') || hasBytes(head, 0, '474946383961')
+  },
+  'image/webp': {
+    extensions: ['.webp'],
+    matches: head => hasBytes(head, 0, '52494646') && hasBytes(head, 8, '57454250')
+  },
+  'image/heic': {
+    extensions: ['.heic', '.heif'],
+    matches: head => hasBytes(head, 4, '66747970') && HEIF_BRANDS.includes(head.toString('latin1', 8, 12))
+  },
+  'application/pdf': { extensions: ['.pdf'], matches: head => hasBytes(head, 0, '255044462d') },
+  'text/plain': { extensions: ['.txt', '.text', '.log', '.md'], matches: isText },
+  'text/csv': { extensions: ['.csv'], matches: isText },
+  'application/msword': { extensions: ['.doc'], matches: isCompoundFile },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+    extensions: ['.docx'],
+    matches: isZip
+  },
+  'application/vnd.ms-excel': { extensions: ['.xls'], matches: isCompoundFile },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { extensions: ['.xlsx'], matches: isZip }
+};
+
+// Number of bytes read from the start of a file to recognize its type
+const FILE_HEAD_BYTES = 4096;
+
+// Columns returned for an attachment, with its uploader
+const ATTACHMENT_COLUMNS = `
+  a.id, a.task_id, a.user_id, u.name as uploader_name, a.filename, a.stored_name,
+  a.mime_type, a.size, a.sha256, a.created_at
+`;
+
+// Multipart parser for a single file in the "file" field, written straight to disk
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: ATTACHMENTS_DIR,
+    filename: (req, file, cb) => cb(null, crypto.randomUUID())
+  }),
+  limits: { fileSize: MAX_FILE_BYTES, files: 1 },
+  defParamCharset: 'utf8',
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype.toLowerCase())) {
+      return cb(null, true);
+    }
+    const error = new Error(`File type ${file.mimetype} is not allowed`);
+    error.status = 415;
+    cb(error);
+  }
+}).single('file');
+
+/**
+ * Convert an attachment row into its API representation
+ */
+export function formatAttachment(attachment) {
+  return {
+    id: attachment.id,
+    taskId: attachment.task_id,
+    filename: attachment.filename,
+    mimeType: attachment.mime_type,
+    size: attachment.size,
+    sha256: attachment.sha256,
+    uploader: {
+      id: attachment.user_id,
+      name: attachment.uploader_name
+    },
+    created_at: attachment.created_at
+  };
+}
+
+/**
+ * Path of an attachment's file on disk
+ */
+export function attachmentPath(attachment) {
+  return path.join(ATTACHMENTS_DIR, attachment.stored_name);
+}
+
+/**
+ * Find an attachment of a task
+ */
+export function findAttachment(taskId, attachmentId) {
+  return db.prepare(`
+    SELECT ${ATTACHMENT_COLUMNS}
+    FROM task_attachments a
+    LEFT JOIN users u ON u.id = a.user_id
+    WHERE a.task_id = ? AND a.id = ?
+  `).get(taskId, attachmentId);
+}
+
+/**
+ * List the attachments of a task, oldest first
+ */
+export function listAttachments(taskId) {
+  return db.prepare(`
+    SELECT ${ATTACHMENT_COLUMNS}
+    FROM task_attachments a
+    LEFT JOIN users u ON u.id = a.user_id
+    WHERE a.task_id = ?
+    ORDER BY a.created_at ASC, a.id ASC
+  `).all(taskId).map(formatAttachment);
+}
+
+/**
+ * Whether a file starts with the given bytes at an offset
+ * @param {Buffer} head - First bytes of the file
+ * @param {string} hex - Expected bytes in hexadecimal
+ */
+function hasBytes(head, offset, hex) {
+  const expected = Buffer.from(hex, 'hex');
+  return head.subarray(offset, offset + expected.length).equals(expected);
+}
+
+/**
+ * Whether the start of a file looks like text rather than binary data
+ */
+function isText(head) {
+  return !head.includes(0);
+}
+
+/**
+ * Whether a file is an OLE compound file, the container of legacy Office documents
+ */
+function isCompoundFile(head) {
+  return hasBytes(head, 0, 'd0cf11e0a1b11ae1');
+}
+
+/**
+ * Whether a file is a ZIP archive, the container of Office Open XML documents
+ */
+function isZip(head) {
+  return hasBytes(head, 0, '504b0304');
+}
+
+/**
+ * Read the first bytes of a file
+ */
+async function readFileHead(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(FILE_HEAD_BYTES), 0, FILE_HEAD_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Check that an uploaded file is what its declared MIME type says, from its extension and content
+ * Returns an error message, or null when the file matches its type
+ */
+async function validateFileType(file) {
+  const mimeType = file.mimetype.toLowerCase();
+  const type = FILE_TYPES[mimeType];
+  if (!type) return null;
+
+  if (!type.extensions.includes(path.extname(file.originalname).toLowerCase())) {
+    return `File extension does not match the ${mimeType} type`;
+  }
+  if (!type.matches(await readFileHead(file.path))) {
+    return `File content does not match the ${mimeType} type`;
+  }
+  return null;
+}
+
+/**
+ * Compute the SHA-256 digest of a file as a hex string
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Parse a multipart upload and write its file to the attachments directory
+ * Files rejected by the size limit or the MIME allow-list are never kept on disk.
+ * @returns {Promise<{ file?: object, status?: number, error?: string }>}
+ */
+export function receiveUpload(req, res) {
+  return new Promise((resolve, reject) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        if (!req.file) {
+          return resolve({ status: 400, error: 'A file is required in the "file" form field' });
+        }
+        return resolve({ file: req.file });
+      }
+
+      if (error.status) {
+        return resolve({ status: error.status, error: error.message });
+      }
+
+      if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return resolve({ status: 413, error: `File exceeds the maximum size of ${MAX_FILE_BYTES} bytes` });
+        }
+        return resolve({ status: 400, error: error.message });
+      }
+
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Record an uploaded file as an attachment of a task
+ * The file is removed again when its extension or content does not match its MIME type, or when
+ * it would take the uploader over their quota. The quota is checked in the same transaction as the
+ * insert, so concurrent uploads cannot exceed it together.
+ * @param {object} file - File written by receiveUpload
+ * @returns {Promise<{ attachment?: object, status?: number, error?: string }>}
+ */
+export async function storeAttachment(taskId, userId, file) {
+  try {
+    const invalidType = await validateFileType(file);
+    if (invalidType) {
+      removeAttachmentFiles([file.filename]);
+      return { status: 415, error: invalidType };
+    }
+
+    const sha256 = await hashFile(file.path);
+
+    const attachmentId = db.transaction(() => {
+      const { used } = db.prepare('SELECT COALESCE(SUM(size), 0) as used FROM task_attachments WHERE user_id = ?')
+        .get(userId);
+      if (used + file.size > USER_QUOTA_BYTES) return null;
+
+      return db.prepare(`
+        INSERT INTO task_attachments (task_id, user_id, filename, stored_name, mime_type, size, sha256, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        taskId, userId, file.originalname, file.filename, file.mimetype.toLowerCase(), file.size, sha256, Date.now()
+      ).lastInsertRowid;
+    })();
+
+    if (attachmentId === null) {
+      removeAttachmentFiles([file.filename]);
+      return { status: 413, error: `Attachment quota of ${USER_QUOTA_BYTES} bytes exceeded` };
+    }
+
+    return { attachment: formatAttachment(findAttachment(taskId, attachmentId)) };
+  } catch (error) {
+    removeAttachmentFiles([file.filename]);
+    throw error;
+  }
+}
+
+/**
+ * Delete an attachment and its file
+ */
+export function deleteAttachment(attachment) {
+  db.prepare('DELETE FROM task_attachments WHERE id = ?').run(attachment.id);
+  removeAttachmentFiles([attachment.stored_name]);
+}
+
+/**
+ * Stored file names of the attachments of some tasks and all of their subtasks
+ * Call before deleting the tasks; the attachment rows go with them through ON DELETE CASCADE.
+ * @param {string} taskSql - SELECT returning the IDs of the tasks
+ * @param {Array} params - Parameters of taskSql
+ */
+export function attachmentFiles(taskSql, params) {
+  return db.prepare(`
+    WITH RECURSIVE subtree(id) AS (
+      ${taskSql}
+      UNION
+      SELECT tasks.id FROM tasks JOIN subtree ON tasks.parent_id = subtree.id
+    )
+    SELECT stored_name FROM task_attachments WHERE task_id IN (SELECT id FROM subtree)
+  `).all(...params).map(row => row.stored_name);
+}
+
+/**
+ * Remove stored files from the attachments directory
+ * Failures are logged rather than thrown, since the database rows are already gone.
+ */
+export function removeAttachmentFiles(storedNames) {
+  for (const storedName of storedNames) {
+    fs.rm(path.join(ATTACHMENTS_DIR, storedName), { force: true }, (error) => {
+      if (error) {
+        console.error(`Error removing attachment file ${storedName}:`, error);
+      }
+    });
+  }
+}
@@ -3,6 +3,7 @@ import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
 import db from './database.js';
+import { idempotent } from './idempotency.js';
 
 const router = express.Router();
 
@@ -17,6 +18,14 @@ const REFRESH_TOKEN_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000;
 const MAX_LOGIN_ATTEMPTS = 5;
 const LOCK_TIME_MS = 15 * 60 * 1000; // 15 minutes
 
+// Idempotency-Key errors of the registration route
+const IDEMPOTENCY_MESSAGES = {
+  INVALID_IDEMPOTENCY_KEY: 'El Idempotency-Key debe tener entre 1 y 255 caracteres',
+  IDEMPOTENCY_KEY_REUSED: 'El Idempotency-Key ya fue usado con una solicitud diferente',
+  IDEMPOTENCY_KEY_IN_USE: 'Una solicitud con este Idempotency-Key todavía se está procesando'
+};
+const idempotentRegistration = idempotent(code => ({ error: code, message: IDEMPOTENCY_MESSAGES[code] }));
+
 /**
  * Generate a unique JWT ID
  */
@@ -59,6 +68,16 @@ function generateRefreshToken(user, deviceId) {
   );
 }
 
+// Functions called after a logout, so long-lived connections of the revoked token can be closed
+const logoutListeners = [];
+
+/**
+ * Register a function to call after each logout with { userId, jti, allDevices }
+ */
+export function onLogout(listener) {
+  logoutListeners.push(listener);
+}
+
 /**
  * Check if token is revoked
  */
@@ -77,8 +96,8 @@ function cleanupExpiredTokens() {
   db.prepare('DELETE FROM sessions WHERE expires_at < ?').run(now);
 }
 
-// Run cleanup periodically (every hour)
-setInterval(cleanupExpiredTokens, 60 * 60 * 1000);
+// Run cleanup periodically (every hour), without keeping a process that imports the module alive
+setInterval(cleanupExpiredTokens, 60 * 60 * 1000).unref();
 
 /**
  * @swagger
@@ -350,7 +369,7 @@ router.post('/refresh', async (req, res) => {
  * /auth/logout:
  *   post:
  *     summary: User logout
- *     description: Invalidate the current session and revoke tokens
+ *     description: Invalidate the current session and revoke tokens. WebSocket connections opened with the revoked token are closed.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -394,6 +413,10 @@ router.post('/logout', authenticateToken, async (req, res) => {
       db.prepare('DELETE FROM sessions WHERE refresh_token = ?').run(refreshToken);
     }
 
+    for (const listener of logoutListeners) {
+      listener({ userId: Number(userId), jti: accessTokenJti, allDevices: !!allDevices });
+    }
+
     res.json({ message: 'Sesión cerrada exitosamente' });
   } catch (error) {
     console.error('Logout error:', error);
@@ -478,8 +501,10 @@ router.post('/validate', authenticateToken, (req, res) => {
  * /auth/register:
  *   post:
  *     summary: Register a new user
- *     description: Create a new user account
+ *     description: Create a new user account. Send an `Idempotency-Key` header to retry safely.
  *     tags: [Authentication]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -507,9 +532,11 @@ router.post('/validate', authenticateToken, (req, res) => {
  *       400:
  *         description: Invalid input
  *       409:
- *         description: User already exists
+ *         description: User already exists, or a request with the same Idempotency-Key is still being processed
+ *       422:
+ *         description: The Idempotency-Key was already used with a different body
  */
-router.post('/register', async (req, res) => {
+router.post('/register', idempotentRegistration, async (req, res) => {
   try {
     const { document, password, name, email, phone } = req.body;
 
@@ -800,44 +827,48 @@ router.post('/biometric/enroll', authenticateToken, (req, res) => {
 });
 
 /**
- * Authentication middleware
+ * Verify an access token and check that it has not been revoked
+ * @returns {{ user?: object, error?: string, message?: string }} The decoded token, or an error code and message
  */
-export function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({
-      error: 'MISSING_TOKEN',
-      message: 'El token de acceso es requerido'
-    });
-  }
-
+export function verifyAccessToken(token) {
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
 
     // Check if token is revoked
     if (isTokenRevoked(decoded.jti)) {
-      return res.status(401).json({
-        error: 'TOKEN_REVOKED',
-        message: 'El token ha sido revocado'
-      });
+      return { error: 'TOKEN_REVOKED', message: 'El token ha sido revocado' };
     }
 
-    req.user = decoded;
-    next();
+    return { user: decoded };
   } catch (err) {
     if (err.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        error: 'TOKEN_EXPIRED',
-        message: 'El token de acceso ha expirado'
-      });
+      return { error: 'TOKEN_EXPIRED', message: 'El token de acceso ha expirado' };
     }
+    return { error: 'INVALID_TOKEN', message: 'Token de acceso inválido' };
+  }
+}
+
+/**
+ * Authentication middleware
+ */
+export function authenticateToken(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
     return res.status(401).json({
-      error: 'INVALID_TOKEN',
-      message: 'Token de acceso inválido'
+      error: 'MISSING_TOKEN',
+      message: 'El token de acceso es requerido'
     });
   }
+
+  const { user, error, message } = verifyAccessToken(token);
+  if (error) {
+    return res.status(401).json({ error, message });
+  }
+
+  req.user = user;
+  next();
 }
 
 export default router;
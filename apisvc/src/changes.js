@@ -0,0 +1,103 @@
+import db from './database.js';
+
+// How long superseded entries stay in the change log, and so how old a sync token may be
+const CHANGE_LOG_RETENTION_DAYS = parseInt(process.env.SYNC_TOKEN_RETENTION_DAYS) || 30;
+const CHANGE_LOG_RETENTION_MS = CHANGE_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// How often the change log is pruned
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Encode a change log position as an opaque sync token
+ */
+function encodeSyncToken(seq) {
+  return Buffer.from(`seq:${seq}`).toString('base64url');
+}
+
+/**
+ * Decode a sync token into a change log position
+ * Returns null when the token was not issued by this server
+ */
+function decodeSyncToken(token) {
+  const match = /^seq:(\d+)$/.exec(Buffer.from(token, 'base64url').toString());
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Find the tasks whose state the user may not have seen since a sync token
+ * Entries are read in log order and collapsed to one per task, so every page continues exactly
+ * where the previous one stopped. The caller decides from each task's current state whether it
+ * is an upsert or a tombstone.
+ * @param {string|undefined} since - Sync token from a previous pull; undefined starts from the beginning
+ * @returns {{ taskIds?: number[], nextToken?: string, hasMore?: boolean, status?: number, error?: string, resyncRequired?: boolean }}
+ */
+export function getChangedTaskIds(userId, since, limit) {
+  let fromSeq = 0;
+  const { latest } = db.prepare('SELECT COALESCE(MAX(seq), 0) as latest FROM task_changes').get();
+
+  if (since !== undefined) {
+    fromSeq = decodeSyncToken(String(since));
+    if (fromSeq === null) {
+      return { status: 400, error: 'Invalid sync token' };
+    }
+
+    // Tokens from before the last prune, or from another database, cannot be answered exactly
+    const { pruned_seq } = db.prepare('SELECT pruned_seq FROM task_changes_state WHERE id = 1').get();
+    if (fromSeq < pruned_seq || fromSeq > latest) {
+      return { status: 410, error: 'Sync token has expired, a full resync is required', resyncRequired: true };
+    }
+  }
+
+  const rows = db.prepare(`
+    SELECT task_id, MAX(seq) as seq FROM task_changes
+    WHERE seq > ? AND seq <= ? AND (
+      user_id = ? OR workspace_id IN (SELECT workspace_id FROM workspace_members WHERE user_id = ?)
+    )
+    GROUP BY task_id
+    ORDER BY seq
+    LIMIT ?
+  `).all(fromSeq, latest, userId, userId, limit + 1);
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+
+  return {
+    taskIds: page.map(row => row.task_id),
+    nextToken: encodeSyncToken(hasMore ? page[page.length - 1].seq : latest),
+    hasMore
+  };
+}
+
+/**
+ * Remove change log entries older than the retention period that no reader needs any more
+ * The newest entry of each task in each scope is kept while the task exists, so a pull from
+ * the beginning still finds every task.
+ */
+export function pruneChangeLog() {
+  try {
+    const cutoff = Date.now() - CHANGE_LOG_RETENTION_MS;
+    const { prunedSeq } = db.prepare('SELECT MAX(seq) as prunedSeq FROM task_changes WHERE created_at < ?').get(cutoff);
+    if (prunedSeq === null) return;
+
+    db.transaction(() => {
+      db.prepare(`
+        DELETE FROM task_changes
+        WHERE seq <= ? AND (
+          task_id NOT IN (SELECT id FROM tasks)
+          OR seq NOT IN (SELECT MAX(seq) FROM task_changes GROUP BY task_id, workspace_id, user_id)
+        )
+      `).run(prunedSeq);
+      db.prepare('UPDATE task_changes_state SET pruned_seq = MAX(pruned_seq, ?) WHERE id = 1').run(prunedSeq);
+    })();
+  } catch (error) {
+    console.error('Error pruning the change log:', error);
+  }
+}
+
+/**
+ * Start the periodic change log prune
+ */
+export function startChangeLogPruneScheduler() {
+  pruneChangeLog();
+  return setInterval(pruneChangeLog, PRUNE_INTERVAL_MS);
+}
@@ -0,0 +1,173 @@
+import db from './database.js';
+import { sendPushNotification } from './notifications.js';
+
+// Longest comment accepted, in characters
+const MAX_COMMENT_LENGTH = 5000;
+
+// Columns returned for a comment, with its author
+const COMMENT_COLUMNS = `
+  c.id, c.task_id, c.user_id, u.name as author_name, c.body, c.created_at, c.updated_at,
+  (
+    SELECT json_group_array(json_object('id', mu.id, 'name', mu.name))
+    FROM comment_mentions cm
+    JOIN users mu ON mu.id = cm.user_id
+    WHERE cm.comment_id = c.id
+  ) as mentions
+`;
+
+/**
+ * Convert a comment row into its API representation
+ */
+function formatComment(comment) {
+  return {
+    id: comment.id,
+    taskId: comment.task_id,
+    author: {
+      id: comment.user_id,
+      name: comment.author_name
+    },
+    body: comment.body,
+    mentions: JSON.parse(comment.mentions),
+    created_at: comment.created_at,
+    updated_at: comment.updated_at
+  };
+}
+
+/**
+ * Validate the text of a comment
+ * Returns an error message, or null when the text is acceptable
+ */
+export function validateCommentBody(body) {
+  if (typeof body !== 'string' || body.trim() === '') {
+    return 'Comment body is required';
+  }
+  if (body.length > MAX_COMMENT_LENGTH) {
+    return `Comment body must be at most ${MAX_COMMENT_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Whether a text mentions a value as @value, ignoring case
+ * The mention must not be part of a longer word, so e-mail addresses are not mentions.
+ */
+function mentions(text, value) {
+  if (!value) return false;
+  const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\p{L}\\p{N}_])@${escaped}(?![\\p{L}\\p{N}_])`, 'iu').test(text);
+}
+
+/**
+ * Find the users mentioned in a comment as @document or @name
+ * Only users who can see the task can be mentioned: the creator of a personal task or the
+ * members of the task's workspace. The author is never mentioned.
+ */
+function findMentionedUsers(text, task, authorId) {
+  const candidates = task.workspace_id === null
+    ? db.prepare('SELECT id, name, document FROM users WHERE id = ?').all(task.user_id)
+    : db.prepare(`
+        SELECT u.id, u.name, u.document FROM workspace_members m
+        JOIN users u ON u.id = m.user_id
+        WHERE m.workspace_id = ?
+      `).all(task.workspace_id);
+
+  return candidates
+    .filter(user => user.id !== authorId)
+    .filter(user => mentions(text, user.document) || mentions(text, user.name))
+    .map(user => user.id);
+}
+
+/**
+ * Replace the stored mentions of a comment
+ * @returns {number[]} IDs of the users who were not mentioned before
+ */
+function setMentions(commentId, userIds) {
+  const previous = db.prepare('SELECT user_id FROM comment_mentions WHERE comment_id = ?')
+    .all(commentId)
+    .map(row => row.user_id);
+
+  db.prepare('DELETE FROM comment_mentions WHERE comment_id = ?').run(commentId);
+  const insert = db.prepare('INSERT INTO comment_mentions (comment_id, user_id) VALUES (?, ?)');
+  for (const userId of userIds) {
+    insert.run(commentId, userId);
+  }
+
+  return userIds.filter(userId => !previous.includes(userId));
+}
+
+/**
+ * Find a comment of a task
+ */
+export function findComment(taskId, commentId) {
+  const comment = db.prepare(`
+    SELECT ${COMMENT_COLUMNS}
+    FROM task_comments c
+    LEFT JOIN users u ON u.id = c.user_id
+    WHERE c.task_id = ? AND c.id = ?
+  `).get(taskId, commentId);
+  return comment ? formatComment(comment) : undefined;
+}
+
+/**
+ * List the comments of a task, oldest first
+ */
+export function listComments(taskId, limit, offset) {
+  const { total } = db.prepare('SELECT COUNT(*) as total FROM task_comments WHERE task_id = ?').get(taskId);
+
+  const comments = db.prepare(`
+    SELECT ${COMMENT_COLUMNS}
+    FROM task_comments c
+    LEFT JOIN users u ON u.id = c.user_id
+    WHERE c.task_id = ?
+    ORDER BY c.created_at ASC, c.id ASC
+    LIMIT ? OFFSET ?
+  `).all(taskId, limit, offset).map(formatComment);
+
+  return { comments, total };
+}
+
+/**
+ * Add a comment to a task
+ * @param {object} task - The task row
+ * @returns {{ comment: object, mentioned: number[] }} The new comment and the users it mentions
+ */
+export function createComment(task, authorId, body) {
+  return db.transaction(() => {
+    const now = Date.now();
+    const result = db.prepare(`
+      INSERT INTO task_comments (task_id, user_id, body, created_at, updated_at) VALUES (?, ?, ?, ?, ?)
+    `).run(task.id, authorId, body, now, now);
+
+    const mentioned = setMentions(result.lastInsertRowid, findMentionedUsers(body, task, authorId));
+    return { comment: findComment(task.id, result.lastInsertRowid), mentioned };
+  })();
+}
+
+/**
+ * Change the text of a comment
+ * @param {object} task - The task row
+ * @returns {{ comment: object, mentioned: number[] }} The updated comment and the users newly mentioned by the edit
+ */
+export function updateComment(task, comment, body) {
+  return db.transaction(() => {
+    db.prepare('UPDATE task_comments SET body = ?, updated_at = ? WHERE id = ?').run(body, Date.now(), comment.id);
+
+    const mentioned = setMentions(comment.id, findMentionedUsers(body, task, comment.author.id));
+    return { comment: findComment(task.id, comment.id), mentioned };
+  })();
+}
+
+/**
+ * Push a notification to each user mentioned in a comment
+ */
+export async function notifyMentions(task, comment, userIds) {
+  const excerpt = comment.body.length > 100 ? `${comment.body.slice(0, 100)}…` : comment.body;
+
+  for (const userId of userIds) {
+    await sendPushNotification(userId, {
+      title: 'You were mentioned',
+      body: `${comment.author.name} mentioned you on "${task.title}": ${excerpt}`,
+      data: { type: 'mention', taskId: String(task.id), commentId: String(comment.id) }
+    });
+  }
+}
@@ -3,13 +3,16 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const dbPath = path.join(__dirname, '..', 'tasks.db');
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', 'tasks.db');
 
 const db = new Database(dbPath);
 
 // Enable WAL mode for better concurrent access
 db.pragma('journal_mode = WAL');
 
+// Enforce foreign keys so ON DELETE CASCADE clauses take effect
+db.pragma('foreign_keys = ON');
+
 // Initialize tables using prepare and run
 const initSchema = `
   CREATE TABLE IF NOT EXISTS tasks (
@@ -102,4 +105,360 @@ db.prepare(initIndexSessions).run();
 db.prepare(initIndexSessionsToken).run();
 db.prepare(initIndexRevokedTokens).run();
 
+/**
+ * Add a column to an existing table when it is missing.
+ * CREATE TABLE IF NOT EXISTS leaves tables from older databases untouched,
+ * so new task fields are added through this helper.
+ */
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(col => col.name === column)) {
+    db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+  }
+}
+
+// Due dates and reminders
+ensureColumn('tasks', 'due_at', 'INTEGER');
+ensureColumn('tasks', 'remind_at', 'INTEGER');
+ensureColumn('tasks', 'reminder_sent_at', 'INTEGER');
+db.prepare(`
+  CREATE INDEX IF NOT EXISTS idx_tasks_pending_reminders
+  ON tasks(remind_at) WHERE reminder_sent_at IS NULL
+`).run();
+
+// Task priorities
+ensureColumn('tasks', 'priority', "TEXT NOT NULL DEFAULT 'medium'");
+db.prepare('CREATE INDEX IF NOT EXISTS idx_tasks_user_priority ON tasks(user_id, priority)').run();
+
+// Free-form tags, one row per distinct name per user
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS tags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL COLLATE NOCASE,
+    created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+    UNIQUE (user_id, name)
+  )
+`).run();
+
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS task_tags (
+    task_id INTEGER NOT NULL,
+    tag_id INTEGER NOT NULL,
+    PRIMARY KEY (task_id, tag_id),
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+  )
+`).run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_task_tags_tag_id ON task_tags(tag_id)').run();
+
+// Backs newest-first listings and cursor pagination on (created_at, id)
+db.prepare('CREATE INDEX IF NOT EXISTS idx_tasks_user_created ON tasks(user_id, created_at DESC, id DESC)').run();
+
+// Back the other sort orders and the updatedSince filter
+db.prepare('CREATE INDEX IF NOT EXISTS idx_tasks_user_updated ON tasks(user_id, updated_at, id)').run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_tasks_user_title ON tasks(user_id, title COLLATE NOCASE, id)').run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_tasks_user_completed ON tasks(user_id, completed, id)').run();
+
+// Subtasks: children are removed together with their parent
+ensureColumn('tasks', 'parent_id', 'INTEGER REFERENCES tasks(id) ON DELETE CASCADE');
+ensureColumn('tasks', 'auto_complete', 'INTEGER NOT NULL DEFAULT 0');
+db.prepare('CREATE INDEX IF NOT EXISTS idx_tasks_parent_id ON tasks(parent_id)').run();
+
+// Recurring tasks: each occurrence is a task linked to the first one of its series
+ensureColumn('tasks', 'recurrence', 'TEXT');
+ensureColumn('tasks', 'series_id', 'INTEGER');
+ensureColumn('tasks', 'occurrence', 'INTEGER NOT NULL DEFAULT 1');
+db.prepare('CREATE INDEX IF NOT EXISTS idx_tasks_series ON tasks(series_id, occurrence)').run();
+
+// Soft delete: deleted tasks stay in the trash until purged
+ensureColumn('tasks', 'deleted_at', 'INTEGER');
+db.prepare('CREATE INDEX IF NOT EXISTS idx_tasks_user_deleted ON tasks(user_id, deleted_at)').run();
+
+// Change history of tasks
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS task_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER NOT NULL,
+    actor_id INTEGER NOT NULL,
+    source TEXT NOT NULL,
+    event TEXT NOT NULL,
+    before_values TEXT,
+    after_values TEXT,
+    created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+  )
+`).run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_task_events_task_id ON task_events(task_id, created_at)').run();
+
+// Projects group tasks into lists; tasks of a deleted project go back to the inbox
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS projects (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL COLLATE NOCASE,
+    color TEXT,
+    archived INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+    updated_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+    UNIQUE (user_id, name)
+  )
+`).run();
+ensureColumn('tasks', 'project_id', 'INTEGER REFERENCES projects(id) ON DELETE SET NULL');
+db.prepare('CREATE INDEX IF NOT EXISTS idx_tasks_project_id ON tasks(project_id)').run();
+
+// Team workspaces: tasks shared by their members according to each member's role
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS workspaces (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    owner_id INTEGER NOT NULL,
+    created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+    updated_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+    FOREIGN KEY (owner_id) REFERENCES users(id)
+  )
+`).run();
+
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS workspace_members (
+    workspace_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('owner', 'admin', 'member', 'viewer')),
+    created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+    PRIMARY KEY (workspace_id, user_id),
+    FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )
+`).run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members(user_id)').run();
+
+// Pending invitations, matched to users by document so people can be invited before they register
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS workspace_invitations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    workspace_id INTEGER NOT NULL,
+    document TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('admin', 'member', 'viewer')),
+    invited_by INTEGER NOT NULL,
+    created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+    UNIQUE (workspace_id, document),
+    FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE
+  )
+`).run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_workspace_invitations_document ON workspace_invitations(document)').run();
+
+ensureColumn('tasks', 'workspace_id', 'INTEGER REFERENCES workspaces(id) ON DELETE CASCADE');
+db.prepare('CREATE INDEX IF NOT EXISTS idx_tasks_workspace_id ON tasks(workspace_id)').run();
+
+// Assignees: the user responsible for a task, notified when it is assigned to them
+ensureColumn('tasks', 'assignee_id', 'INTEGER REFERENCES users(id) ON DELETE SET NULL');
+db.prepare('CREATE INDEX IF NOT EXISTS idx_tasks_assignee_id ON tasks(assignee_id)').run();
+
+// Comments on tasks and the users mentioned in them
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS task_comments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    body TEXT NOT NULL,
+    created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+    updated_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )
+`).run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_task_comments_task_id ON task_comments(task_id, created_at)').run();
+
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS comment_mentions (
+    comment_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    PRIMARY KEY (comment_id, user_id),
+    FOREIGN KEY (comment_id) REFERENCES task_comments(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )
+`).run();
+
+// Files attached to tasks; the files themselves live in the attachments directory
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS task_attachments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    filename TEXT NOT NULL,
+    stored_name TEXT UNIQUE NOT NULL,
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    sha256 TEXT NOT NULL,
+    created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )
+`).run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_task_attachments_task_id ON task_attachments(task_id)').run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_task_attachments_user_id ON task_attachments(user_id)').run();
+
+// Version of each task for optimistic concurrency, bumped by every write to its fields
+ensureColumn('tasks', 'version', 'INTEGER NOT NULL DEFAULT 1');
+
+db.prepare(`
+  CREATE TRIGGER IF NOT EXISTS tasks_version AFTER UPDATE OF
+    title, body, completed, priority, user_id, workspace_id, parent_id, project_id, assignee_id,
+    auto_complete, recurrence, due_at, remind_at, deleted_at, updated_at
+  ON tasks BEGIN
+    UPDATE tasks SET version = old.version + 1 WHERE id = new.id;
+  END
+`).run();
+
+// Task version each history event produced, so sync can tell which fields changed since a version
+ensureColumn('task_events', 'version', 'INTEGER');
+
+// Server task created for each client localId by /sync, so retried CREATEs are not applied twice
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS sync_local_ids (
+    user_id INTEGER NOT NULL,
+    device_id TEXT NOT NULL,
+    local_id TEXT NOT NULL,
+    task_id INTEGER NOT NULL,
+    created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000),
+    PRIMARY KEY (user_id, device_id, local_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+  )
+`).run();
+
+// Log of task changes for delta sync, ordered by seq. Each entry names the scope that saw the
+// change: the creator of a personal task (user_id), a workspace (workspace_id), or a single member
+// who joined or left a workspace (user_id). Readers work out each task's current state themselves.
+const changeLogExists = db.prepare(
+  "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'task_changes'"
+).get();
+
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS task_changes (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER NOT NULL,
+    workspace_id INTEGER,
+    user_id INTEGER,
+    created_at INTEGER DEFAULT (strftime('%s', 'now') * 1000)
+  )
+`).run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_task_changes_user_id ON task_changes(user_id, seq)').run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_task_changes_workspace_id ON task_changes(workspace_id, seq)').run();
+
+// Highest seq removed from the change log; sync tokens older than this need a full resync
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS task_changes_state (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    pruned_seq INTEGER NOT NULL DEFAULT 0
+  )
+`).run();
+db.prepare('INSERT OR IGNORE INTO task_changes_state (id) VALUES (1)').run();
+
+db.prepare(`
+  CREATE TRIGGER IF NOT EXISTS task_changes_insert AFTER INSERT ON tasks BEGIN
+    INSERT INTO task_changes (task_id, workspace_id, user_id)
+    VALUES (new.id, new.workspace_id, CASE WHEN new.workspace_id IS NULL THEN new.user_id END);
+  END
+`).run();
+
+// A task moved to another workspace or owner is logged for its old scope too, which loses it
+db.prepare(`
+  CREATE TRIGGER IF NOT EXISTS task_changes_update AFTER UPDATE OF
+    title, body, completed, priority, user_id, workspace_id, parent_id, project_id, assignee_id,
+    auto_complete, recurrence, due_at, remind_at, deleted_at, updated_at
+  ON tasks BEGIN
+    INSERT INTO task_changes (task_id, workspace_id, user_id)
+    VALUES (new.id, new.workspace_id, CASE WHEN new.workspace_id IS NULL THEN new.user_id END);
+    INSERT INTO task_changes (task_id, workspace_id, user_id)
+    SELECT old.id, old.workspace_id, CASE WHEN old.workspace_id IS NULL THEN old.user_id END
+    WHERE old.workspace_id IS NOT new.workspace_id OR old.user_id IS NOT new.user_id;
+  END
+`).run();
+
+db.prepare(`
+  CREATE TRIGGER IF NOT EXISTS task_changes_delete AFTER DELETE ON tasks BEGIN
+    INSERT INTO task_changes (task_id, workspace_id, user_id)
+    VALUES (old.id, old.workspace_id, CASE WHEN old.workspace_id IS NULL THEN old.user_id END);
+  END
+`).run();
+
+// Joining or leaving a workspace changes which of its tasks the member can see
+db.prepare(`
+  CREATE TRIGGER IF NOT EXISTS task_changes_member_join AFTER INSERT ON workspace_members BEGIN
+    INSERT INTO task_changes (task_id, user_id)
+    SELECT id, new.user_id FROM tasks WHERE workspace_id = new.workspace_id;
+  END
+`).run();
+
+db.prepare(`
+  CREATE TRIGGER IF NOT EXISTS task_changes_member_leave AFTER DELETE ON workspace_members BEGIN
+    INSERT INTO task_changes (task_id, user_id)
+    SELECT id, old.user_id FROM tasks WHERE workspace_id = old.workspace_id;
+  END
+`).run();
+
+// Existing tasks start the log so the first delta pull returns all of them
+if (!changeLogExists) {
+  db.prepare(`
+    INSERT INTO task_changes (task_id, workspace_id, user_id)
+    SELECT id, workspace_id, CASE WHEN workspace_id IS NULL THEN user_id END FROM tasks ORDER BY id
+  `).run();
+}
+
+// Responses to requests sent with an Idempotency-Key, replayed for retries; status is NULL while
+// the first request is still running. user_id is 0 for requests without an access token.
+db.prepare(`
+  CREATE TABLE IF NOT EXISTS idempotency_keys (
+    route TEXT NOT NULL,
+    user_id INTEGER NOT NULL,
+    key TEXT NOT NULL,
+    request_hash TEXT NOT NULL,
+    status INTEGER,
+    response TEXT,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (route, user_id, key)
+  )
+`).run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys(created_at)').run();
+
+// Full-text search index over task titles and bodies, kept in sync by triggers
+const ftsExists = db.prepare(
+  "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'tasks_fts'"
+).get();
+
+db.prepare(`
+  CREATE VIRTUAL TABLE IF NOT EXISTS tasks_fts USING fts5(
+    title,
+    body,
+    content = 'tasks',
+    content_rowid = 'id',
+    tokenize = 'unicode61 remove_diacritics 2'
+  )
+`).run();
+
+db.prepare(`
+  CREATE TRIGGER IF NOT EXISTS tasks_fts_insert AFTER INSERT ON tasks BEGIN
+    INSERT INTO tasks_fts (rowid, title, body) VALUES (new.id, new.title, new.body);
+  END
+`).run();
+
+db.prepare(`
+  CREATE TRIGGER IF NOT EXISTS tasks_fts_delete AFTER DELETE ON tasks BEGIN
+    INSERT INTO tasks_fts (tasks_fts, rowid, title, body) VALUES ('delete', old.id, old.title, old.body);
+  END
+`).run();
+
+db.prepare(`
+  CREATE TRIGGER IF NOT EXISTS tasks_fts_update AFTER UPDATE OF title, body ON tasks BEGIN
+    INSERT INTO tasks_fts (tasks_fts, rowid, title, body) VALUES ('delete', old.id, old.title, old.body);
+    INSERT INTO tasks_fts (rowid, title, body) VALUES (new.id, new.title, new.body);
+  END
+`).run();
+
+// Index tasks created before the search index existed
+if (!ftsExists) {
+  db.prepare("INSERT INTO tasks_fts (tasks_fts) VALUES ('rebuild')").run();
+}
+
 export default db;
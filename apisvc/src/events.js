@@ -0,0 +1,118 @@
+// Number of recent events kept for clients resuming with Last-Event-ID
+const EVENT_LOG_SIZE = parseInt(process.env.EVENT_LOG_SIZE) || 1000;
+
+// How often an idle stream gets a comment line, so proxies do not close it
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.EVENT_HEARTBEAT_MS) || 30 * 1000; // 30 seconds
+
+// How long browsers wait before reconnecting a dropped stream
+const RETRY_MS = 5000;
+
+// Recent events, oldest first: { id, type, data, userIds }
+const eventLog = [];
+
+// Listeners of each user's events
+const subscribers = new Map();
+
+// Event IDs start from the boot time, so IDs keep growing across restarts and a Last-Event-ID
+// from before a restart is recognized as too old
+let lastEventId = Date.now() * 1000;
+
+// ID of the newest event that is no longer in the log
+let droppedEventId = lastEventId;
+
+/**
+ * Publish an event to some users
+ * @param {number[]} userIds - The users who receive the event
+ * @param {string} type - Event name, such as task.updated
+ * @param {object} data - Event payload
+ */
+export function publishEvent(userIds, type, data) {
+  if (userIds.length === 0) return;
+
+  const event = { id: ++lastEventId, type, data, userIds };
+  eventLog.push(event);
+  if (eventLog.length > EVENT_LOG_SIZE) {
+    droppedEventId = eventLog.shift().id;
+  }
+
+  for (const userId of userIds) {
+    for (const listener of subscribers.get(userId) ?? []) {
+      listener(event);
+    }
+  }
+}
+
+/**
+ * Listen to the events published to a user
+ * @returns {Function} Call to stop listening
+ */
+export function subscribe(userId, listener) {
+  if (!subscribers.has(userId)) {
+    subscribers.set(userId, new Set());
+  }
+  subscribers.get(userId).add(listener);
+
+  return () => {
+    const listeners = subscribers.get(userId);
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      subscribers.delete(userId);
+    }
+  };
+}
+
+/**
+ * Events of a user published after an event ID
+ * Returns null when events after that ID have already left the log, or the ID was never issued
+ */
+export function eventsAfter(userId, eventId) {
+  if (!Number.isInteger(eventId) || eventId < droppedEventId || eventId > lastEventId) {
+    return null;
+  }
+  return eventLog.filter(event => event.id > eventId && event.userIds.includes(userId));
+}
+
+/**
+ * Write an event in Server-Sent Events format
+ */
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+/**
+ * Stream the authenticated user's events as Server-Sent Events
+ * A client reconnecting with Last-Event-ID first gets the events it missed, or a reset event when
+ * they are no longer in the log and it must reload its tasks. The stream ends when the access token
+ * expires, so the client reconnects with a fresh one.
+ */
+export function streamEvents(req, res) {
+  const userId = Number(req.user.sub);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const resumeFrom = req.get('Last-Event-ID') ?? req.query.lastEventId;
+  if (resumeFrom !== undefined) {
+    const missed = eventsAfter(userId, Number(resumeFrom));
+    if (missed === null) {
+      res.write(`event: reset\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available' })}\n\n`);
+    } else {
+      missed.forEach(event => writeEvent(res, event));
+    }
+  }
+
+  const unsubscribe = subscribe(userId, event => writeEvent(res, event));
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+  const expiry = setTimeout(() => res.end(), Math.max(req.user.exp * 1000 - Date.now(), 0));
+
+  req.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+  });
+}
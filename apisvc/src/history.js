@@ -0,0 +1,130 @@
+import db from './database.js';
+
+// Task fields tracked in the change history
+const HISTORY_FIELDS = [
+  'title', 'body', 'completed', 'priority', 'tags', 'workspaceId', 'parentId', 'projectId', 'assigneeId',
+  'autoComplete', 'recurrence', 'due_at', 'remind_at'
+];
+
+/**
+ * Pick the tracked fields from a task in its API representation
+ */
+export function historySnapshot(task) {
+  return Object.fromEntries(HISTORY_FIELDS.map(field => [field, task[field]]));
+}
+
+// Functions called with each recorded task event
+const taskEventListeners = [];
+
+/**
+ * Register a function to call with { id, taskId, event, audit, before } after each task event is recorded
+ * Listeners run inside the transaction that recorded the event, which may still be rolled back.
+ */
+export function onTaskEvent(listener) {
+  taskEventListeners.push(listener);
+}
+
+/**
+ * Record one event in the history of a task
+ * @param {number} taskId - The task the event belongs to
+ * @param {string} event - create, update, complete, uncomplete, delete or restore
+ * @param {object} audit - Who made the change and through which API
+ * @param {number} audit.actorId - User ID from the access token
+ * @param {string} audit.source - 'rest', 'sync' or 'websocket'
+ * @param {object|null} before - Field values before the change
+ * @param {object|null} after - Field values after the change
+ */
+export function recordTaskEvent(taskId, event, audit, before = null, after = null) {
+  const { lastInsertRowid: id } = db.prepare(`
+    INSERT INTO task_events (task_id, actor_id, source, event, before_values, after_values, version, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, (SELECT version FROM tasks WHERE id = ?), ?)
+  `).run(
+    taskId,
+    audit.actorId,
+    audit.source,
+    event,
+    before ? JSON.stringify(before) : null,
+    after ? JSON.stringify(after) : null,
+    taskId,
+    Date.now()
+  );
+
+  for (const listener of taskEventListeners) {
+    listener({ id: Number(id), taskId, event, audit, before });
+  }
+}
+
+/**
+ * Record the changes between two versions of a task
+ * Only changed fields are stored. Completion changes are recorded as complete/uncomplete.
+ * Nothing is recorded when no tracked field changed.
+ */
+export function recordTaskUpdate(previous, current, audit) {
+  const before = {};
+  const after = {};
+
+  for (const field of HISTORY_FIELDS) {
+    if (JSON.stringify(previous[field]) !== JSON.stringify(current[field])) {
+      before[field] = previous[field];
+      after[field] = current[field];
+    }
+  }
+
+  if (Object.keys(after).length === 0) return;
+
+  let event = 'update';
+  if ('completed' in after) {
+    event = after.completed ? 'complete' : 'uncomplete';
+  }
+
+  recordTaskEvent(current.id, event, audit, before, after);
+}
+
+/**
+ * Get the tracked fields of a task that changed after a version or a point in time
+ * @param {object} since - Either { version } or { updatedAt } (milliseconds)
+ * @returns {Set<string>} Names of the changed fields; deleted_at when the task was deleted or restored
+ */
+export function getChangedFieldsSince(taskId, since) {
+  const condition = since.version !== undefined ? 'version > ?' : 'created_at > ?';
+  const events = db.prepare(`SELECT after_values FROM task_events WHERE task_id = ? AND ${condition}`)
+    .all(taskId, since.version ?? since.updatedAt);
+
+  const fields = new Set();
+  for (const event of events) {
+    for (const field of Object.keys(JSON.parse(event.after_values ?? '{}'))) {
+      fields.add(field);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Get the history of a task, newest first
+ */
+export function getTaskHistory(taskId, limit, offset) {
+  const { total } = db.prepare('SELECT COUNT(*) as total FROM task_events WHERE task_id = ?').get(taskId);
+
+  const events = db.prepare(`
+    SELECT e.id, e.event, e.source, e.actor_id, u.name as actor_name,
+           e.before_values, e.after_values, e.created_at
+    FROM task_events e
+    LEFT JOIN users u ON u.id = e.actor_id
+    WHERE e.task_id = ?
+    ORDER BY e.created_at DESC, e.id DESC
+    LIMIT ? OFFSET ?
+  `).all(taskId, limit, offset).map(event => ({
+    id: event.id,
+    event: event.event,
+    source: event.source,
+    actor: {
+      id: event.actor_id,
+      name: event.actor_name
+    },
+    before: event.before_values ? JSON.parse(event.before_values) : null,
+    after: event.after_values ? JSON.parse(event.after_values) : null,
+    created_at: event.created_at
+  }));
+
+  return { events, total };
+}
@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import db from './database.js';
+
+// How long a stored response is replayed for retries with the same key
+const KEY_RETENTION_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// How often expired keys are removed
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// Longest Idempotency-Key accepted
+const MAX_KEY_LENGTH = 255;
+
+// Default error messages, by error code
+const ERROR_MESSAGES = {
+  INVALID_IDEMPOTENCY_KEY: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`,
+  IDEMPOTENCY_KEY_REUSED: 'Idempotency-Key was already used for a request with a different body',
+  IDEMPOTENCY_KEY_IN_USE: 'A request with this Idempotency-Key is still being processed'
+};
+
+/**
+ * Hash of a request body, to tell a retry from a different request reusing its key
+ */
+function hashRequest(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body ?? null)).digest('hex');
+}
+
+/**
+ * Middleware that makes a POST route safe to retry with an Idempotency-Key header
+ * The first request with a key runs normally and its response is stored; a retry with the same
+ * key and body within 24 hours gets the stored response back without running the route again.
+ * Keys are scoped to the route and the authenticated user, so it must come after authenticateToken
+ * on protected routes. Server errors are not stored, so the request can be retried.
+ * @param {Function} [formatError] - Builds the error body from an error code and English message
+ */
+export function idempotent(formatError = (code, message) => ({ error: message })) {
+  return (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+
+    const sendError = (status, code) => res.status(status).json(formatError(code, ERROR_MESSAGES[code]));
+
+    if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+      return sendError(400, 'INVALID_IDEMPOTENCY_KEY');
+    }
+
+    try {
+      const route = `${req.method} ${req.baseUrl}${req.path}`;
+      // Requests without a user share the anonymous scope 0
+      const userId = req.user ? Number(req.user.sub) : 0;
+      const requestHash = hashRequest(req.body);
+      const now = Date.now();
+
+      const stored = db.prepare(`
+        SELECT request_hash, status, response FROM idempotency_keys
+        WHERE route = ? AND user_id = ? AND key = ? AND created_at > ?
+      `).get(route, userId, key, now - KEY_RETENTION_MS);
+
+      if (stored) {
+        if (stored.request_hash !== requestHash) {
+          return sendError(422, 'IDEMPOTENCY_KEY_REUSED');
+        }
+        if (stored.status === null) {
+          return sendError(409, 'IDEMPOTENCY_KEY_IN_USE');
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(stored.status).json(JSON.parse(stored.response));
+      }
+
+      // Claim the key before running the route, so a concurrent retry sees it as in use
+      db.prepare(`
+        INSERT OR REPLACE INTO idempotency_keys (route, user_id, key, request_hash, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(route, userId, key, requestHash, now);
+
+      let saved = false;
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        saved = true;
+        if (res.statusCode < 500) {
+          db.prepare(`
+            UPDATE idempotency_keys SET status = ?, response = ? WHERE route = ? AND user_id = ? AND key = ?
+          `).run(res.statusCode, JSON.stringify(body ?? null), route, userId, key);
+        } else {
+          db.prepare('DELETE FROM idempotency_keys WHERE route = ? AND user_id = ? AND key = ?').run(route, userId, key);
+        }
+        return json(body);
+      };
+
+      // Release the key when the route ends without a JSON response
+      res.on('close', () => {
+        if (!saved) {
+          db.prepare('DELETE FROM idempotency_keys WHERE route = ? AND user_id = ? AND key = ?').run(route, userId, key);
+        }
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Remove idempotency keys older than the retention period
+ */
+export function purgeIdempotencyKeys() {
+  try {
+    db.prepare('DELETE FROM idempotency_keys WHERE created_at <= ?').run(Date.now() - KEY_RETENTION_MS);
+  } catch (error) {
+    console.error('Error purging idempotency keys:', error);
+  }
+}
+
+/**
+ * Start the periodic purge of expired idempotency keys
+ */
+export function startIdempotencyKeyPurgeScheduler() {
+  // Keys still claimed at startup belong to requests cut short by a restart
+  db.prepare('DELETE FROM idempotency_keys WHERE status IS NULL').run();
+  purgeIdempotencyKeys();
+  return setInterval(purgeIdempotencyKeys, PURGE_INTERVAL_MS);
+}
@@ -1,21 +1,404 @@
 import express from 'express';
 import cors from 'cors';
+import { fileURLToPath } from 'url';
 import swaggerUi from 'swagger-ui-express';
 import db from './database.js';
-import { sendPushNotification } from './notifications.js';
 import { swaggerSpec } from './swagger.js';
 import authRoutes, { authenticateToken } from './auth.js';
+import projectRoutes from './projects.js';
+import workspaceRoutes, {
+  READ_ONLY_ERROR, canWriteTasks, getTaskRole, taskAccessCondition
+} from './workspaces.js';
+import { startReminderScheduler } from './reminders.js';
+import { softDeleteTask, restoreTask, startTrashPurgeScheduler } from './trash.js';
+import { getChangedTaskIds, startChangeLogPruneScheduler } from './changes.js';
+import { idempotent, startIdempotencyKeyPurgeScheduler } from './idempotency.js';
+import { streamEvents } from './events.js';
+import { attachWebSocketServer } from './realtime.js';
+import { recordTaskUpdate, getTaskHistory } from './history.js';
+import {
+  PRIORITIES, TASK_COLUMNS, formatTask, loadTask, loadTaskRow, findTask, findTaskRow, validateTaskInput,
+  validateAssignee, notifyTaskUsers, notifyAssignee, autoCompleteParents, createNextOccurrence, taskETag,
+  parseTaskPatch, createTask, updateTask, deleteTask
+} from './tasks.js';
+import { CONFLICT_STRATEGIES, validateSyncOperations, applySyncBatch } from './sync.js';
+import {
+  validateCommentBody, findComment, listComments, createComment, updateComment, notifyMentions
+} from './comments.js';
+import {
+  receiveUpload, storeAttachment, findAttachment, listAttachments, attachmentPath, deleteAttachment
+} from './attachments.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Page size limits for task listings
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Actions accepted by POST /todos/bulk, and how many tasks one request can change
+const BULK_ACTIONS = ['complete', 'uncomplete', 'delete', 'reassign', 'retitle'];
+const MAX_BULK_TASKS = 500;
+
+// Sortable task fields and the column expression each one orders by
+const SORT_COLUMNS = {
+  created_at: 'tasks.created_at',
+  updated_at: 'tasks.updated_at',
+  title: 'tasks.title COLLATE NOCASE',
+  completed: 'tasks.completed'
+};
+
+/**
+ * Read the requested page size, capped at MAX_PAGE_SIZE
+ */
+function parsePageLimit(query) {
+  const limit = parseInt(query._limit) || DEFAULT_PAGE_SIZE;
+  return Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+}
+
+/**
+ * Read the requested sort order for task listings (newest first by default)
+ * Returns { field, order, column } or { error } when the sort is invalid
+ */
+function parseSort(query) {
+  const field = query._sort === undefined ? 'created_at' : String(query._sort);
+  const order = query._order === undefined ? 'desc' : String(query._order).toLowerCase();
+
+  if (!SORT_COLUMNS[field]) {
+    return { error: `_sort must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}` };
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: '_order must be asc or desc' };
+  }
+
+  return { field, order, column: SORT_COLUMNS[field] };
+}
+
+/**
+ * Encode the position of a task row in a sorted listing as an opaque cursor
+ */
+function encodeCursor(row, sort) {
+  const position = [row[sort.field], row.id, sort.field, sort.order];
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor for the same sort order
+ * Returns { value, id }, or null when the cursor is malformed or from another sort
+ */
+function decodeCursor(cursor, sort) {
+  try {
+    const [value, id, field = 'created_at', order = 'desc'] =
+      JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const validValue = sort.field === 'title' ? typeof value === 'string' : Number.isInteger(value);
+    if (!validValue || !Number.isInteger(id) || field !== sort.field || order !== sort.order) {
+      return null;
+    }
+    return { value, id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a date filter given as milliseconds since epoch or an ISO 8601 date
+ * Returns the timestamp in milliseconds, or NaN when the value is invalid
+ */
+function parseTimeParam(value) {
+  const text = String(value);
+  return /^\d+$/.test(text) ? Number(text) : Date.parse(text);
+}
+
+/**
+ * Normalize a query parameter that may be given once or repeated
+ */
+function queryList(value) {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+/**
+ * Send the result of a task write shared with WebSocket mutations, with the task's ETag
+ */
+function sendTaskWrite(res, { status, task, error }) {
+  if (status === 204) {
+    return res.status(204).send();
+  }
+  if (task && status !== 201) {
+    res.set('ETag', taskETag(task));
+  }
+  res.status(status).json(error ? { error, ...(task && { task }) } : task);
+}
+
+/**
+ * Apply changes to a task for PUT and PATCH /todos/:id and send the response
+ */
+async function applyTaskChanges(req, res, changes) {
+  try {
+    const userId = Number(req.user.sub);
+    sendTaskWrite(res, await updateTask(req.params.id, changes, userId, {
+      audit: { actorId: userId, source: 'rest' },
+      ifMatch: req.get('If-Match')
+    }));
+  } catch (error) {
+    console.error('Error updating task:', error);
+    res.status(500).json({ error: 'Failed to update task' });
+  }
+}
+
+/**
+ * Translate a user search string into an FTS5 query.
+ * Quoted text becomes a phrase query and every other word a prefix match,
+ * so user input can never produce FTS5 syntax errors.
+ */
+function buildSearchQuery(input) {
+  const parts = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(input)) !== null) {
+    const [, phrase, word] = match;
+    const text = (phrase ?? word).replace(/\*+$/, '');
+    if (!/[\p{L}\p{N}]/u.test(text)) continue;
+
+    const quoted = `"${text.replace(/"/g, '""')}"`;
+    parts.push(phrase !== undefined ? quoted : `${quoted}*`);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Build the WHERE clause for task listings from the request query
+ * Returns { where, params } or { error } when a filter value is invalid
+ */
+function buildTaskFilter(query, userId) {
+  const access = taskAccessCondition(userId);
+  const conditions = [access.sql, 'tasks.deleted_at IS NULL'];
+  const params = [...access.params];
+
+  const priorities = queryList(query.priority).flatMap(value => value.split(','));
+  if (priorities.length > 0) {
+    if (!priorities.every(priority => PRIORITIES.includes(priority))) {
+      return { error: `priority must be one of: ${PRIORITIES.join(', ')}` };
+    }
+    conditions.push(`tasks.priority IN (${priorities.map(() => '?').join(', ')})`);
+    params.push(...priorities);
+  }
+
+  if (query.completed !== undefined) {
+    if (query.completed !== 'true' && query.completed !== 'false') {
+      return { error: 'completed must be true or false' };
+    }
+    conditions.push('tasks.completed = ?');
+    params.push(query.completed === 'true' ? 1 : 0);
+  }
+
+  const dateFilters = [
+    ['createdAfter', 'tasks.created_at > ?'],
+    ['createdBefore', 'tasks.created_at < ?'],
+    ['updatedSince', 'tasks.updated_at >= ?']
+  ];
+  for (const [param, condition] of dateFilters) {
+    if (query[param] === undefined) continue;
+    const timestamp = parseTimeParam(query[param]);
+    if (Number.isNaN(timestamp)) {
+      return { error: `${param} must be a timestamp in milliseconds or an ISO 8601 date` };
+    }
+    conditions.push(condition);
+    params.push(timestamp);
+  }
+
+  const tags = [...new Set(queryList(query.tag).map(tag => tag.trim().toLowerCase()))];
+  if (tags.length > 0) {
+    const tagMode = query.tagMode || 'any';
+    if (tagMode !== 'any' && tagMode !== 'all') {
+      return { error: 'tagMode must be any or all' };
+    }
+    conditions.push(`tasks.id IN (
+      SELECT tt.task_id FROM task_tags tt
+      JOIN tags tg ON tg.id = tt.tag_id
+      WHERE tg.name IN (${tags.map(() => '?').join(', ')})
+      GROUP BY tt.task_id
+      ${tagMode === 'all' ? 'HAVING COUNT(*) = ?' : ''}
+    )`);
+    params.push(...tags);
+    if (tagMode === 'all') params.push(tags.length);
+  }
+
+  if (query.workspaceId !== undefined) {
+    const workspaceId = String(query.workspaceId);
+    if (workspaceId === 'none') {
+      conditions.push('tasks.workspace_id IS NULL');
+    } else if (/^\d+$/.test(workspaceId)) {
+      conditions.push('tasks.workspace_id = ?');
+      params.push(Number(workspaceId));
+    } else {
+      return { error: 'workspaceId must be a workspace ID or none' };
+    }
+  }
+
+  if (query.assignee !== undefined) {
+    const assignee = String(query.assignee);
+    if (assignee === 'none') {
+      conditions.push('tasks.assignee_id IS NULL');
+    } else if (assignee === 'me' || /^\d+$/.test(assignee)) {
+      conditions.push('tasks.assignee_id = ?');
+      params.push(assignee === 'me' ? userId : Number(assignee));
+    } else {
+      return { error: 'assignee must be me, none or a user ID' };
+    }
+  }
+
+  if (query.projectId !== undefined) {
+    const projectId = String(query.projectId);
+    if (projectId === 'none') {
+      conditions.push('tasks.project_id IS NULL');
+    } else if (/^\d+$/.test(projectId)) {
+      conditions.push('tasks.project_id = ?');
+      params.push(Number(projectId));
+    } else {
+      return { error: 'projectId must be a project ID or none' };
+    }
+  } else {
+    if (query.includeArchived !== undefined &&
+        query.includeArchived !== 'true' && query.includeArchived !== 'false') {
+      return { error: 'includeArchived must be true or false' };
+    }
+    // Tasks of archived projects only show up when asked for
+    if (query.includeArchived !== 'true') {
+      conditions.push(`NOT EXISTS (
+        SELECT 1 FROM projects p WHERE p.id = tasks.project_id AND p.archived = 1
+      )`);
+    }
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+/**
+ * Validate a bulk operation payload
+ * Returns an error message, or null when the payload is acceptable
+ */
+function validateBulkInput(data) {
+  if (!BULK_ACTIONS.includes(data.action)) {
+    return `action must be one of: ${BULK_ACTIONS.join(', ')}`;
+  }
+
+  if ((data.ids === undefined) === (data.filter === undefined)) {
+    return 'Provide either ids or filter';
+  }
+
+  if (data.ids !== undefined) {
+    if (!Array.isArray(data.ids) || data.ids.length === 0 ||
+        !data.ids.every(id => Number.isInteger(id) && id > 0)) {
+      return 'ids must be a non-empty array of task IDs';
+    }
+    if (data.ids.length > MAX_BULK_TASKS) {
+      return `ids can list at most ${MAX_BULK_TASKS} tasks`;
+    }
+  }
+
+  if (data.filter !== undefined &&
+      (typeof data.filter !== 'object' || data.filter === null || Array.isArray(data.filter))) {
+    return 'filter must be an object';
+  }
+
+  if (data.action === 'reassign') {
+    if (data.assigneeId === undefined) {
+      return 'assigneeId is required';
+    }
+    return validateTaskInput({ assigneeId: data.assigneeId });
+  }
+
+  if (data.action === 'retitle') {
+    if (typeof data.prefix !== 'string' || data.prefix === '') {
+      return 'prefix must be a non-empty string';
+    }
+    if (typeof data.replacement !== 'string') {
+      return 'replacement must be a string';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Apply a bulk action to one task
+ * Must run inside a transaction. Returns the per-task result, with the completed parents
+ * and whether the task was completed or reassigned so notifications can be sent afterwards.
+ */
+function applyBulkAction(existing, data, now, audit) {
+  const result = { id: existing.id, status: 'success' };
+  const before = loadTask(existing.id);
+
+  switch (data.action) {
+    case 'complete':
+    case 'uncomplete': {
+      const completed = data.action === 'complete' ? 1 : 0;
+      if (existing.completed === completed) {
+        return { id: existing.id, status: 'skipped' };
+      }
+      db.prepare('UPDATE tasks SET completed = ?, updated_at = ? WHERE id = ?').run(completed, now, existing.id);
+      recordTaskUpdate(before, loadTask(existing.id), audit);
+      result.completedParents = autoCompleteParents(existing.id, now, audit);
+      if (completed) {
+        result.completed = true;
+        const nextOccurrenceId = createNextOccurrence(existing.id, now, audit);
+        if (nextOccurrenceId) {
+          result.nextOccurrenceId = nextOccurrenceId;
+        }
+      }
+      return result;
+    }
+    case 'delete': {
+      // Subtasks listed after their parent are already in the trash by now
+      if (existing.deleted_at === null) {
+        softDeleteTask(existing.id, audit, now);
+      }
+      return result;
+    }
+    case 'reassign': {
+      if (existing.assignee_id === data.assigneeId) {
+        return { id: existing.id, status: 'skipped' };
+      }
+      const invalid = validateAssignee(data.assigneeId, existing.workspace_id, existing.user_id);
+      if (invalid) {
+        return { id: existing.id, status: 'error', error: invalid };
+      }
+      db.prepare('UPDATE tasks SET assignee_id = ?, updated_at = ? WHERE id = ?').run(data.assigneeId, now, existing.id);
+      recordTaskUpdate(before, loadTask(existing.id), audit);
+      result.reassigned = true;
+      return result;
+    }
+    case 'retitle': {
+      if (!existing.title.startsWith(data.prefix)) {
+        return { id: existing.id, status: 'skipped' };
+      }
+      const title = data.replacement + existing.title.slice(data.prefix.length);
+      if (title.trim() === '') {
+        return { id: existing.id, status: 'error', error: 'The new title would be empty' };
+      }
+      db.prepare('UPDATE tasks SET title = ?, updated_at = ? WHERE id = ?').run(title, now, existing.id);
+      recordTaskUpdate(before, loadTask(existing.id), audit);
+      return result;
+    }
+  }
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ type: ['application/json', 'application/merge-patch+json'] }));
 
 // Auth routes
 app.use('/auth', authRoutes);
 
+// Project routes
+app.use('/projects', projectRoutes);
+
+// Workspace routes
+app.use('/workspaces', workspaceRoutes);
+
 // Swagger UI
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
   customCss: '.swagger-ui .topbar { display: none }',
@@ -58,27 +441,118 @@ app.get('/health', (req, res) => {
  * /todos:
  *   get:
  *     summary: Get all tasks
- *     description: Retrieves a paginated list of tasks for a user, ordered by creation date (newest first)
+ *     description: |
+ *       Retrieves a paginated list of the authenticated user's personal tasks and the tasks of their
+ *       workspaces, ordered by creation date (newest first) unless `_sort` and `_order` say otherwise.
+ *       Tasks of archived projects are left out unless `projectId` or `includeArchived=true` is given.
+ *
+ *       Two pagination modes are supported:
+ *       - **Offset** (default): `_limit` and `_offset`. Pages can shift when tasks are created between requests.
+ *       - **Cursor**: pass `cursor` (empty for the first page), then the returned `nextCursor` for each
+ *         following page. Pages are stable while tasks are created or deleted.
  *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
  *         name: _limit
  *         schema:
  *           type: integer
  *           default: 20
- *         description: Maximum number of tasks to return per page
+ *           maximum: 100
+ *         description: Maximum number of tasks to return per page (capped at 100)
  *       - in: query
  *         name: _offset
  *         schema:
  *           type: integer
  *           default: 0
- *         description: Number of tasks to skip (for pagination)
+ *         description: Number of tasks to skip (offset mode only)
  *       - in: query
- *         name: userId
+ *         name: cursor
  *         schema:
- *           type: integer
- *           default: 1
- *         description: Filter tasks by user ID
+ *           type: string
+ *         description: Opaque cursor from a previous response's `nextCursor`. An empty value starts cursor mode at the first page
+ *       - in: query
+ *         name: _sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, updated_at, title, completed]
+ *           default: created_at
+ *         description: Field to sort by. Cursors are only valid for the sort they were issued with
+ *       - in: query
+ *         name: _order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Sort direction
+ *       - in: query
+ *         name: createdAfter
+ *         schema:
+ *           type: string
+ *         description: Only tasks created after this time (milliseconds or ISO 8601 date)
+ *       - in: query
+ *         name: createdBefore
+ *         schema:
+ *           type: string
+ *         description: Only tasks created before this time (milliseconds or ISO 8601 date)
+ *       - in: query
+ *         name: updatedSince
+ *         schema:
+ *           type: string
+ *         description: Only tasks updated at or after this time (milliseconds or ISO 8601 date)
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [low, medium, high, urgent]
+ *         style: form
+ *         explode: true
+ *         description: Only return tasks with one of these priorities (repeatable or comma-separated)
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: true
+ *         description: Only return tasks carrying these tags (repeatable, case-insensitive)
+ *       - in: query
+ *         name: tagMode
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *         description: Match tasks with any of the given tags (OR) or with all of them (AND)
+ *       - in: query
+ *         name: completed
+ *         schema:
+ *           type: boolean
+ *         description: Only return completed (true) or pending (false) tasks
+ *       - in: query
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         description: Only return tasks of this workspace, or `none` for personal tasks
+ *       - in: query
+ *         name: assignee
+ *         schema:
+ *           type: string
+ *         description: Only return tasks assigned to `me`, to a user ID, or to nobody (`none`)
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Only return tasks of this project, or `none` for tasks without a project
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include tasks of archived projects (implied when `projectId` is given)
  *     responses:
  *       200:
  *         description: Paginated list of tasks
@@ -96,12 +570,30 @@ app.get('/health', (req, res) => {
  *                   properties:
  *                     total:
  *                       type: integer
+ *                       description: Number of tasks matching the filters
  *                     limit:
  *                       type: integer
  *                     offset:
  *                       type: integer
+ *                       description: Offset mode only
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Cursor mode only. Cursor for the next page, null on the last page
  *                     hasMore:
  *                       type: boolean
+ *       400:
+ *         description: Invalid filter, sort or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -109,29 +601,77 @@ app.get('/health', (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-app.get('/todos', (req, res) => {
+app.get('/todos', authenticateToken, (req, res) => {
   try {
-    const limit = parseInt(req.query._limit) || 20;
+    const limit = parsePageLimit(req.query);
     const offset = parseInt(req.query._offset) || 0;
-    const userId = parseInt(req.query.userId) || 1;
+    const userId = Number(req.user.sub);
+
+    const filter = buildTaskFilter(req.query, userId);
+    if (filter.error) {
+      return res.status(400).json({ error: filter.error });
+    }
+
+    const sort = parseSort(req.query);
+    if (sort.error) {
+      return res.status(400).json({ error: sort.error });
+    }
+    // Task id breaks ties so the order is total and cursors are unambiguous
+    const direction = sort.order === 'asc' ? 'ASC' : 'DESC';
+    const orderBy = `${sort.column} ${direction}, tasks.id ${direction}`;
+
+    // Get total count of matching tasks
+    const countStmt = db.prepare(`SELECT COUNT(*) as total FROM tasks WHERE ${filter.where}`);
+    const { total } = countStmt.get(...filter.params);
 
-    // Get total count
-    const countStmt = db.prepare('SELECT COUNT(*) as total FROM tasks WHERE user_id = ?');
-    const { total } = countStmt.get(userId);
+    // Cursor mode: keyset pagination on (sort value, id)
+    if (req.query.cursor !== undefined) {
+      const conditions = [filter.where];
+      const params = [...filter.params];
+
+      if (req.query.cursor !== '') {
+        const cursor = decodeCursor(String(req.query.cursor), sort);
+        if (!cursor) {
+          return res.status(400).json({ error: 'Invalid cursor' });
+        }
+        const op = sort.order === 'asc' ? '>' : '<';
+        conditions.push(`(${sort.column} ${op} ? OR (${sort.column} = ? AND tasks.id ${op} ?))`);
+        params.push(cursor.value, cursor.value, cursor.id);
+      }
+
+      // Fetch one extra row to know whether another page exists
+      const rows = db.prepare(`
+        SELECT ${TASK_COLUMNS}
+        FROM tasks
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY ${orderBy}
+        LIMIT ?
+      `).all(...params, limit + 1);
+
+      const hasMore = rows.length > limit;
+      const page = rows.slice(0, limit);
+
+      return res.json({
+        data: page.map(formatTask),
+        pagination: {
+          total,
+          limit,
+          nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null,
+          hasMore
+        }
+      });
+    }
 
     // Get paginated tasks
     const stmt = db.prepare(`
-      SELECT id, title, body, completed, user_id as userId, created_at, updated_at
+      SELECT ${TASK_COLUMNS}
       FROM tasks
-      WHERE user_id = ?
-      ORDER BY created_at DESC
+      WHERE ${filter.where}
+      ORDER BY ${orderBy}
       LIMIT ? OFFSET ?
     `);
 
-    const tasks = stmt.all(userId, limit, offset).map(task => ({
-      ...task,
-      completed: task.completed === 1
-    }));
+    const tasks = stmt.all(...filter.params, limit, offset).map(formatTask);
 
     res.json({
       data: tasks,
@@ -143,18 +683,1614 @@ app.get('/todos', (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Error fetching tasks:', error);
-    res.status(500).json({ error: 'Failed to fetch tasks' });
+    console.error('Error fetching tasks:', error);
+    res.status(500).json({ error: 'Failed to fetch tasks' });
+  }
+});
+
+/**
+ * @swagger
+ * /todos/search:
+ *   get:
+ *     summary: Search tasks
+ *     description: |
+ *       Full-text search across the titles and bodies of the tasks visible to the authenticated user,
+ *       ranked by relevance.
+ *
+ *       Every word is matched as a prefix (`doc` finds "documentation") and all words must match.
+ *       Text in double quotes is matched as an exact phrase. The list filters of `GET /todos`
+ *       (`priority`, `tag`, `tagMode`, `completed`, `createdAfter`, `createdBefore`, `updatedSince`,
+ *       `workspaceId`, `assignee`, `projectId`, `includeArchived`) can be combined with the search.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Search text
+ *         example: 'api "release notes"'
+ *       - in: query
+ *         name: _limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Maximum number of results to return (capped at 100)
+ *       - in: query
+ *         name: _offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of results to skip
+ *     responses:
+ *       200:
+ *         description: Ranked search results, best match first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Task'
+ *                       - type: object
+ *                         properties:
+ *                           highlight:
+ *                             type: object
+ *                             description: Matched terms wrapped in <mark> tags
+ *                             properties:
+ *                               title:
+ *                                 type: string
+ *                               body:
+ *                                 type: string
+ *                                 description: Snippet of the body around the matches
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     offset:
+ *                       type: integer
+ *                     hasMore:
+ *                       type: boolean
+ *       400:
+ *         description: Missing search text or invalid filter value
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/todos/search', authenticateToken, (req, res) => {
+  try {
+    const limit = parsePageLimit(req.query);
+    const offset = parseInt(req.query._offset) || 0;
+    const userId = Number(req.user.sub);
+
+    const query = buildSearchQuery(String(req.query.q ?? ''));
+    if (!query) {
+      return res.status(400).json({ error: 'Search query is required' });
+    }
+
+    const filter = buildTaskFilter(req.query, userId);
+    if (filter.error) {
+      return res.status(400).json({ error: filter.error });
+    }
+
+    const countStmt = db.prepare(`
+      SELECT COUNT(*) as total
+      FROM tasks_fts
+      JOIN tasks ON tasks.id = tasks_fts.rowid
+      WHERE tasks_fts MATCH ? AND ${filter.where}
+    `);
+    const { total } = countStmt.get(query, ...filter.params);
+
+    // Title matches weigh more than body matches
+    const stmt = db.prepare(`
+      SELECT ${TASK_COLUMNS},
+        highlight(tasks_fts, 0, '<mark>', '</mark>') as title_highlight,
+        snippet(tasks_fts, 1, '<mark>', '</mark>', '…', 16) as body_snippet
+      FROM tasks_fts
+      JOIN tasks ON tasks.id = tasks_fts.rowid
+      WHERE tasks_fts MATCH ? AND ${filter.where}
+      ORDER BY bm25(tasks_fts, 10.0, 1.0)
+      LIMIT ? OFFSET ?
+    `);
+
+    const results = stmt.all(query, ...filter.params, limit, offset)
+      .map(({ title_highlight, body_snippet, ...task }) => ({
+        ...formatTask(task),
+        highlight: {
+          title: title_highlight,
+          body: body_snippet
+        }
+      }));
+
+    res.json({
+      data: results,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + results.length < total
+      }
+    });
+  } catch (error) {
+    console.error('Error searching tasks:', error);
+    res.status(500).json({ error: 'Failed to search tasks' });
+  }
+});
+
+/**
+ * @swagger
+ * /todos/trash:
+ *   get:
+ *     summary: Get deleted tasks
+ *     description: |
+ *       Retrieves the tasks in the trash that are visible to the authenticated user (personal and
+ *       workspace tasks), most recently deleted first
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: _limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Maximum number of tasks to return per page (capped at 100)
+ *       - in: query
+ *         name: _offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of tasks to skip
+ *     responses:
+ *       200:
+ *         description: Paginated list of deleted tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Task'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     offset:
+ *                       type: integer
+ *                     hasMore:
+ *                       type: boolean
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/todos/trash', authenticateToken, (req, res) => {
+  try {
+    const limit = parsePageLimit(req.query);
+    const offset = parseInt(req.query._offset) || 0;
+    const userId = Number(req.user.sub);
+
+    const access = taskAccessCondition(userId);
+
+    const { total } = db.prepare(
+      `SELECT COUNT(*) as total FROM tasks WHERE ${access.sql} AND tasks.deleted_at IS NOT NULL`
+    ).get(...access.params);
+
+    const stmt = db.prepare(`
+      SELECT ${TASK_COLUMNS}
+      FROM tasks
+      WHERE ${access.sql} AND tasks.deleted_at IS NOT NULL
+      ORDER BY tasks.deleted_at DESC, tasks.id DESC
+      LIMIT ? OFFSET ?
+    `);
+
+    const tasks = stmt.all(...access.params, limit, offset).map(formatTask);
+
+    res.json({
+      data: tasks,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + tasks.length < total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+/**
+ * @swagger
+ * /todos/{id}:
+ *   get:
+ *     summary: Get a single task
+ *     description: Retrieves a personal task of the authenticated user or a task of one of their workspaces
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Task details
+ *         headers:
+ *           ETag:
+ *             schema:
+ *               type: string
+ *             description: Current version of the task, to send as If-Match on later writes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/todos/:id', authenticateToken, (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = Number(req.user.sub);
+
+    const task = findTask(id, userId);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    res.set('ETag', taskETag(task));
+    res.json(task);
+  } catch (error) {
+    console.error('Error fetching task:', error);
+    res.status(500).json({ error: 'Failed to fetch task' });
+  }
+});
+
+/**
+ * @swagger
+ * /todos/{id}/subtasks:
+ *   get:
+ *     summary: Get the subtasks of a task
+ *     description: Retrieves the direct subtasks of a task in creation order (oldest first)
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Parent task ID
+ *     responses:
+ *       200:
+ *         description: List of subtasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Task'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/todos/:id/subtasks', authenticateToken, (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = Number(req.user.sub);
+
+    if (!findTask(id, userId)) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const stmt = db.prepare(`
+      SELECT ${TASK_COLUMNS}
+      FROM tasks
+      WHERE tasks.parent_id = ? AND tasks.deleted_at IS NULL
+      ORDER BY tasks.created_at ASC, tasks.id ASC
+    `);
+
+    res.json({ data: stmt.all(id).map(formatTask) });
+  } catch (error) {
+    console.error('Error fetching subtasks:', error);
+    res.status(500).json({ error: 'Failed to fetch subtasks' });
+  }
+});
+
+/**
+ * @swagger
+ * /todos/{id}/history:
+ *   get:
+ *     summary: Get the change history of a task
+ *     description: |
+ *       Lists every create, update, complete, uncomplete, delete and restore of a task, newest first.
+ *       Each event records who made the change, whether it came through the REST API or `/sync`,
+ *       and the values of the changed fields before and after. Tasks in the trash keep their history.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *       - in: query
+ *         name: _limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Maximum number of events to return (capped at 100)
+ *       - in: query
+ *         name: _offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of events to skip
+ *     responses:
+ *       200:
+ *         description: Task history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TaskEvent'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     offset:
+ *                       type: integer
+ *                     hasMore:
+ *                       type: boolean
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/todos/:id/history', authenticateToken, (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = parsePageLimit(req.query);
+    const offset = parseInt(req.query._offset) || 0;
+    const userId = Number(req.user.sub);
+
+    const task = findTaskRow(id, userId, null);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const { events, total } = getTaskHistory(task.id, limit, offset);
+
+    res.json({
+      data: events,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + events.length < total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching task history:', error);
+    res.status(500).json({ error: 'Failed to fetch task history' });
+  }
+});
+
+/**
+ * @swagger
+ * /todos/{id}/comments:
+ *   get:
+ *     summary: Get the comments of a task
+ *     description: Lists the comments of a task, oldest first.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *       - in: query
+ *         name: _limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Maximum number of comments to return (capped at 100)
+ *       - in: query
+ *         name: _offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of comments to skip
+ *     responses:
+ *       200:
+ *         description: Task comments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Comment'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     offset:
+ *                       type: integer
+ *                     hasMore:
+ *                       type: boolean
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/todos/:id/comments', authenticateToken, (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = parsePageLimit(req.query);
+    const offset = parseInt(req.query._offset) || 0;
+    const userId = Number(req.user.sub);
+
+    const task = findTaskRow(id, userId);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const { comments, total } = listComments(task.id, limit, offset);
+
+    res.json({
+      data: comments,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + comments.length < total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+/**
+ * @swagger
+ * /todos/{id}/comments:
+ *   post:
+ *     summary: Comment on a task
+ *     description: |
+ *       Adds a comment to a task. Users who can see the task and are mentioned as `@document`
+ *       or `@name` in the comment receive a push notification.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CommentRequest'
+ *     responses:
+ *       201:
+ *         description: Comment created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Comment'
+ *       400:
+ *         description: Invalid request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The workspace role does not allow changing tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/todos/:id/comments', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = Number(req.user.sub);
+
+    const task = findTaskRow(id, userId);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!canWriteTasks(getTaskRole(task, userId))) {
+      return res.status(403).json({ error: READ_ONLY_ERROR });
+    }
+
+    const invalid = validateCommentBody(req.body.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const { comment, mentioned } = createComment(task, userId, req.body.body);
+    await notifyMentions(task, comment, mentioned);
+
+    res.status(201).json(comment);
+  } catch (error) {
+    console.error('Error creating comment:', error);
+    res.status(500).json({ error: 'Failed to create comment' });
+  }
+});
+
+/**
+ * @swagger
+ * /todos/{id}/comments/{commentId}:
+ *   put:
+ *     summary: Edit a comment
+ *     description: |
+ *       Changes the text of one of your own comments. Only users newly mentioned by the edit
+ *       are notified.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Comment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CommentRequest'
+ *     responses:
+ *       200:
+ *         description: Comment updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Comment'
+ *       400:
+ *         description: Invalid request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The comment belongs to another user, or the workspace role does not allow changing tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task or comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.put('/todos/:id/comments/:commentId', authenticateToken, async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const userId = Number(req.user.sub);
+
+    const task = findTaskRow(id, userId);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const existing = findComment(task.id, commentId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (existing.author.id !== userId) {
+      return res.status(403).json({ error: 'You can only edit your own comments' });
+    }
+
+    if (!canWriteTasks(getTaskRole(task, userId))) {
+      return res.status(403).json({ error: READ_ONLY_ERROR });
+    }
+
+    const invalid = validateCommentBody(req.body.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const { comment, mentioned } = updateComment(task, existing, req.body.body);
+    await notifyMentions(task, comment, mentioned);
+
+    res.json(comment);
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    res.status(500).json({ error: 'Failed to update comment' });
+  }
+});
+
+/**
+ * @swagger
+ * /todos/{id}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment
+ *     description: Deletes one of your own comments.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Comment ID
+ *     responses:
+ *       204:
+ *         description: Comment deleted successfully
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The comment belongs to another user, or the workspace role does not allow changing tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task or comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.delete('/todos/:id/comments/:commentId', authenticateToken, (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const userId = Number(req.user.sub);
+
+    const task = findTaskRow(id, userId);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const comment = findComment(task.id, commentId);
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (comment.author.id !== userId) {
+      return res.status(403).json({ error: 'You can only delete your own comments' });
+    }
+
+    if (!canWriteTasks(getTaskRole(task, userId))) {
+      return res.status(403).json({ error: READ_ONLY_ERROR });
+    }
+
+    db.prepare('DELETE FROM task_comments WHERE id = ?').run(comment.id);
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({ error: 'Failed to delete comment' });
+  }
+});
+
+/**
+ * @swagger
+ * /todos/{id}/attachments:
+ *   get:
+ *     summary: Get the attachments of a task
+ *     description: Lists the metadata of the files attached to a task, oldest first.
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Task attachments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Attachment'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/todos/:id/attachments', authenticateToken, (req, res) => {
+  try {
+    const task = findTaskRow(req.params.id, Number(req.user.sub));
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    res.json({ data: listAttachments(task.id) });
+  } catch (error) {
+    console.error('Error fetching attachments:', error);
+    res.status(500).json({ error: 'Failed to fetch attachments' });
+  }
+});
+
+/**
+ * @swagger
+ * /todos/{id}/attachments:
+ *   post:
+ *     summary: Attach a file to a task
+ *     description: |
+ *       Uploads one file as `multipart/form-data` in the `file` field. Files larger than
+ *       `ATTACHMENT_MAX_BYTES`, of a MIME type outside the allow-list, or that would take the
+ *       uploader over `ATTACHMENT_QUOTA_BYTES` are rejected.
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: File attached successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Attachment'
+ *       400:
+ *         description: No file in the request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The workspace role does not allow changing tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       413:
+ *         description: File too large, or upload quota exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       415:
+ *         description: File type not allowed, or the file's extension or content does not match its type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/todos/:id/attachments', authenticateToken, async (req, res) => {
+  try {
+    const userId = Number(req.user.sub);
+
+    const task = findTaskRow(req.params.id, userId);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!canWriteTasks(getTaskRole(task, userId))) {
+      return res.status(403).json({ error: READ_ONLY_ERROR });
+    }
+
+    const upload = await receiveUpload(req, res);
+    if (upload.error) {
+      return res.status(upload.status).json({ error: upload.error });
+    }
+
+    const stored = await storeAttachment(task.id, userId, upload.file);
+    if (stored.error) {
+      return res.status(stored.status).json({ error: stored.error });
+    }
+
+    res.status(201).json(stored.attachment);
+  } catch (error) {
+    console.error('Error uploading attachment:', error);
+    res.status(500).json({ error: 'Failed to upload attachment' });
+  }
+});
+
+/**
+ * @swagger
+ * /todos/{id}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Download an attachment
+ *     description: Returns the file with its original filename and MIME type.
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Attachment ID
+ *     responses:
+ *       200:
+ *         description: File contents
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task or attachment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/todos/:id/attachments/:attachmentId', authenticateToken, (req, res) => {
+  try {
+    const task = findTaskRow(req.params.id, Number(req.user.sub));
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const attachment = findAttachment(task.id, req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    res.set({ 'Content-Type': attachment.mime_type, 'X-Content-Type-Options': 'nosniff' });
+    res.download(attachmentPath(attachment), attachment.filename, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Error sending attachment:', error);
+        res.status(500).json({ error: 'Failed to download attachment' });
+      }
+    });
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
+/**
+ * @swagger
+ * /todos/{id}/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Delete an attachment
+ *     description: Deletes an attachment and its file. Anyone who can change the task can delete its attachments.
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Attachment ID
+ *     responses:
+ *       204:
+ *         description: Attachment deleted successfully
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The workspace role does not allow changing tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task or attachment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.delete('/todos/:id/attachments/:attachmentId', authenticateToken, (req, res) => {
+  try {
+    const userId = Number(req.user.sub);
+
+    const task = findTaskRow(req.params.id, userId);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!canWriteTasks(getTaskRole(task, userId))) {
+      return res.status(403).json({ error: READ_ONLY_ERROR });
+    }
+
+    const attachment = findAttachment(task.id, req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    deleteAttachment(attachment);
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    res.status(500).json({ error: 'Failed to delete attachment' });
+  }
+});
+
+/**
+ * @swagger
+ * /todos:
+ *   post:
+ *     summary: Create a new task
+ *     description: |
+ *       Creates a new task and optionally sends a push notification. Send an `Idempotency-Key`
+ *       header to retry safely: a retry gets the first response back and creates no duplicate task.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateTaskRequest'
+ *     responses:
+ *       201:
+ *         description: Task created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid request (missing title or a field of the wrong type)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: The Idempotency-Key was already used with a different body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/todos', authenticateToken, idempotent(), async (req, res) => {
+  try {
+    const userId = Number(req.user.sub);
+    sendTaskWrite(res, await createTask(req.body, userId, { actorId: userId, source: 'rest' }));
+  } catch (error) {
+    console.error('Error creating task:', error);
+    res.status(500).json({ error: 'Failed to create task' });
+  }
+});
+
+/**
+ * @swagger
+ * /todos/{id}:
+ *   put:
+ *     summary: Update a task
+ *     description: |
+ *       Updates an existing task. Sends a push notification to the creator and the assignee when the
+ *       task is completed, and to the new assignee when `assigneeId` changes.
+ *       Completing the last open subtask of a parent with `autoComplete` also completes the parent.
+ *       Completing a recurring task creates its next occurrence, whose ID is returned as `nextOccurrenceId`.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag of the copy being changed; the write fails with 412 if the task has changed since
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateTaskRequest'
+ *     responses:
+ *       200:
+ *         description: Task updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         description: The task has changed since the If-Match ETag was read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StaleTaskError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.put('/todos/:id', authenticateToken, (req, res) => applyTaskChanges(req, res, req.body));
+
+/**
+ * @swagger
+ * /todos/{id}:
+ *   patch:
+ *     summary: Partially update a task
+ *     description: |
+ *       Applies a JSON Merge Patch (RFC 7396) to a task. Fields missing from the patch are left
+ *       unchanged. `null` removes a value: `body` becomes empty, `priority` goes back to `medium`,
+ *       `tags` to `[]`, `completed` and `autoComplete` to false, and the other nullable fields
+ *       (`due_at`, `remind_at`, `recurrence`, `projectId`, `assigneeId`, `parentId`, `workspaceId`)
+ *       become null. `title` cannot be removed. Notifications, subtask auto-completion and
+ *       recurrence work as for `PUT /todos/{id}`.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag of the copy being changed; the write fails with 412 if the task has changed since
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateTaskRequest'
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateTaskRequest'
+ *     responses:
+ *       200:
+ *         description: Task updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid patch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The workspace role does not allow changing tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         description: The task has changed since the If-Match ETag was read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StaleTaskError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.patch('/todos/:id', authenticateToken, (req, res) => {
+  const { changes, error } = parseTaskPatch(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  return applyTaskChanges(req, res, changes);
+});
+
+/**
+ * @swagger
+ * /todos/{id}/assign:
+ *   put:
+ *     summary: Assign a task
+ *     description: |
+ *       Assigns a task to a user, or unassigns it with `assigneeId: null`. Workspace tasks can be
+ *       assigned to any member of their workspace except viewers; personal tasks only to their creator.
+ *       The new assignee gets a push notification unless they assigned the task to themselves.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - assigneeId
+ *             properties:
+ *               assigneeId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: User ID of the assignee, or null to unassign
+ *                 example: 2
+ *     responses:
+ *       200:
+ *         description: Task assigned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid assignee
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The caller's workspace role does not allow changing tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.put('/todos/:id/assign', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { assigneeId } = req.body;
+    const userId = Number(req.user.sub);
+
+    const existing = findTaskRow(id, userId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (!canWriteTasks(getTaskRole(existing, userId))) {
+      return res.status(403).json({ error: READ_ONLY_ERROR });
+    }
+
+    if (assigneeId === undefined) {
+      return res.status(400).json({ error: 'assigneeId is required' });
+    }
+
+    const invalid = validateTaskInput({ assigneeId }) ||
+      validateAssignee(assigneeId, existing.workspace_id, existing.user_id);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (assigneeId !== existing.assignee_id) {
+      const before = loadTask(existing.id);
+      db.transaction(() => {
+        db.prepare('UPDATE tasks SET assignee_id = ?, updated_at = ? WHERE id = ?')
+          .run(assigneeId, Date.now(), existing.id);
+        recordTaskUpdate(before, loadTask(existing.id), { actorId: userId, source: 'rest' });
+      })();
+    }
+
+    const task = findTask(existing.id, userId);
+
+    if (assigneeId !== existing.assignee_id) {
+      await notifyAssignee(task, userId);
+    }
+
+    res.json(task);
+  } catch (error) {
+    console.error('Error assigning task:', error);
+    res.status(500).json({ error: 'Failed to assign task' });
+  }
+});
+
+/**
+ * @swagger
+ * /todos/{id}:
+ *   delete:
+ *     summary: Delete a task
+ *     description: |
+ *       Moves a task and all of its subtasks to the trash. Deleted tasks are hidden from listings,
+ *       can be restored with `POST /todos/{id}/restore` and are permanently purged after the
+ *       retention period.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Task ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag of the copy being changed; the write fails with 412 if the task has changed since
+ *     responses:
+ *       204:
+ *         description: Task deleted successfully
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         description: The task has changed since the If-Match ETag was read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StaleTaskError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.delete('/todos/:id', authenticateToken, (req, res) => {
+  try {
+    const userId = Number(req.user.sub);
+    sendTaskWrite(res, deleteTask(req.params.id, userId, {
+      audit: { actorId: userId, source: 'rest' },
+      ifMatch: req.get('If-Match')
+    }));
+  } catch (error) {
+    console.error('Error deleting task:', error);
+    res.status(500).json({ error: 'Failed to delete task' });
   }
 });
 
 /**
  * @swagger
- * /todos/{id}:
- *   get:
- *     summary: Get a single task
- *     description: Retrieves a specific task by its ID
+ * /todos/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted task
+ *     description: Restores a task from the trash together with the subtasks that were deleted with it
  *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -164,13 +2300,25 @@ app.get('/todos', (req, res) => {
  *         description: Task ID
  *     responses:
  *       200:
- *         description: Task details
+ *         description: Task restored successfully
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Task'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Task not found
+ *         description: Task not found in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The task's parent is still in the trash
  *         content:
  *           application/json:
  *             schema:
@@ -182,54 +2330,78 @@ app.get('/todos', (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-app.get('/todos/:id', (req, res) => {
+app.post('/todos/:id/restore', authenticateToken, (req, res) => {
   try {
     const { id } = req.params;
+    const userId = Number(req.user.sub);
 
-    const stmt = db.prepare(`
-      SELECT id, title, body, completed, user_id as userId, created_at, updated_at
-      FROM tasks
-      WHERE id = ?
-    `);
-
-    const task = stmt.get(id);
+    const task = findTaskRow(id, userId, true);
 
     if (!task) {
       return res.status(404).json({ error: 'Task not found' });
     }
 
-    res.json({
-      ...task,
-      completed: task.completed === 1
-    });
+    if (!canWriteTasks(getTaskRole(task, userId))) {
+      return res.status(403).json({ error: READ_ONLY_ERROR });
+    }
+
+    if (task.parent_id) {
+      const parent = db.prepare('SELECT deleted_at FROM tasks WHERE id = ?').get(task.parent_id);
+      if (parent && parent.deleted_at) {
+        return res.status(409).json({ error: 'Restore the parent task first' });
+      }
+    }
+
+    db.transaction(() => restoreTask(task, { actorId: userId, source: 'rest' }))();
+
+    res.json(findTask(id, userId));
   } catch (error) {
-    console.error('Error fetching task:', error);
-    res.status(500).json({ error: 'Failed to fetch task' });
+    console.error('Error restoring task:', error);
+    res.status(500).json({ error: 'Failed to restore task' });
   }
 });
 
 /**
  * @swagger
- * /todos:
+ * /todos/bulk:
  *   post:
- *     summary: Create a new task
- *     description: Creates a new task and optionally sends a push notification
+ *     summary: Apply one change to many tasks
+ *     description: |
+ *       Completes, uncompletes, deletes, reassigns or retitles up to 500 tasks at once. The
+ *       tasks are given as a list of `ids` or as a `filter` with the same fields as the
+ *       `GET /todos` query (for example `{ "completed": true }`). All changes are applied in a
+ *       single transaction and the response reports the result for each task: `success`,
+ *       `skipped` when the change does not apply (already completed, title without the prefix...)
+ *       or `error` with a message (task not found, read-only workspace role...).
  *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/CreateTaskRequest'
+ *             $ref: '#/components/schemas/BulkRequest'
  *     responses:
- *       201:
- *         description: Task created successfully
+ *       200:
+ *         description: Bulk operation applied
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Task'
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BulkResult'
  *       400:
- *         description: Invalid request (missing title)
+ *         description: Invalid request or filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired access token
  *         content:
  *           application/json:
  *             schema:
@@ -241,74 +2413,189 @@ app.get('/todos/:id', (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-app.post('/todos', async (req, res) => {
+app.post('/todos/bulk', authenticateToken, async (req, res) => {
   try {
-    const { title, body = '', userId = 1 } = req.body;
+    const userId = Number(req.user.sub);
 
-    if (!title) {
-      return res.status(400).json({ error: 'Title is required' });
+    const invalid = validateBulkInput(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
     }
 
-    const now = Date.now();
-    const stmt = db.prepare(`
-      INSERT INTO tasks (title, body, user_id, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?)
-    `);
+    // Resolve the target tasks before changing anything
+    let targets;
+    if (req.body.ids !== undefined) {
+      targets = [...new Set(req.body.ids)].map(id => ({ id, task: findTaskRow(id, userId) }));
+    } else {
+      // Filter values are given as JSON but read like query string parameters
+      const query = Object.fromEntries(Object.entries(req.body.filter).map(
+        ([key, value]) => [key, Array.isArray(value) ? value.map(String) : String(value)]
+      ));
+      const filter = buildTaskFilter(query, userId);
+      if (filter.error) {
+        return res.status(400).json({ error: filter.error });
+      }
+      const tasks = db.prepare(`SELECT tasks.* FROM tasks WHERE ${filter.where} ORDER BY tasks.id LIMIT ?`)
+        .all(...filter.params, MAX_BULK_TASKS + 1);
+      if (tasks.length > MAX_BULK_TASKS) {
+        return res.status(400).json({ error: `filter matches more than ${MAX_BULK_TASKS} tasks` });
+      }
+      targets = tasks.map(task => ({ id: task.id, task }));
+    }
 
-    const result = stmt.run(title, body, userId, now, now);
-
-    const newTask = {
-      id: result.lastInsertRowid,
-      title,
-      body,
-      completed: false,
-      userId,
-      created_at: now,
-      updated_at: now
-    };
-
-    // Send push notification for new task
-    await sendPushNotification(userId, {
-      title: 'New Task Created',
-      body: `Task "${title}" has been created`
-    });
+    const audit = { actorId: userId, source: 'rest' };
+    const results = db.transaction(() => {
+      const now = Date.now();
+      return targets.map(({ id, task }) => {
+        if (!task) {
+          return { id, status: 'error', error: 'Task not found' };
+        }
+        if (!canWriteTasks(getTaskRole(task, userId))) {
+          return { id, status: 'error', error: READ_ONLY_ERROR };
+        }
+        // Re-read the row, since earlier tasks in the batch may have changed it
+        return applyBulkAction(loadTaskRow(id), req.body, now, audit);
+      });
+    })();
+
+    for (const result of results) {
+      if (result.completed) {
+        const task = loadTask(result.id);
+        await notifyTaskUsers(task, {
+          title: 'Task Completed',
+          body: `Task "${task.title}" has been marked as complete`
+        });
+      }
+      if (result.reassigned) {
+        await notifyAssignee(loadTask(result.id), userId);
+      }
+      for (const parent of result.completedParents ?? []) {
+        await notifyTaskUsers(loadTask(parent.id), {
+          title: 'Task Completed',
+          body: `Task "${parent.title}" has been completed with all of its subtasks`
+        });
+      }
+    }
 
-    res.status(201).json(newTask);
+    res.json({
+      results: results.map(({ id, status, error, nextOccurrenceId }) => ({
+        id,
+        status,
+        ...(error && { error }),
+        ...(nextOccurrenceId && { nextOccurrenceId })
+      }))
+    });
   } catch (error) {
-    console.error('Error creating task:', error);
-    res.status(500).json({ error: 'Failed to create task' });
+    console.error('Error applying bulk operation:', error);
+    res.status(500).json({ error: 'Failed to apply bulk operation' });
   }
 });
 
 /**
  * @swagger
- * /todos/{id}:
- *   put:
- *     summary: Update a task
- *     description: Updates an existing task. Sends a push notification when task is completed.
- *     tags: [Tasks]
+ * /sync:
+ *   post:
+ *     summary: Batch sync operations
+ *     description: |
+ *       Synchronizes multiple task operations in a single request.
+ *       Supports CREATE, UPDATE, and DELETE operations for offline-first sync.
+ *
+ *       **Operation Types:**
+ *       - `CREATE`: Creates a new task. Requires `localId` and `data` fields. A subtask can reference
+ *         its parent by `data.parentId`, or by `data.parentLocalId` when the parent was synced earlier.
+ *       - `UPDATE`: Updates an existing task. Requires `serverId` and `data` fields. Only the fields
+ *         present in `data` change. An UPDATE of a task in the trash is dropped with `status: 'deleted'`.
+ *       - `DELETE`: Moves a task and its subtasks to the trash. Requires `serverId` field. Deleting a
+ *         task that is already in the trash succeeds.
+ *
+ *       **Retries:** the server remembers the task each `localId` created, per user and `deviceId`.
+ *       `deviceId` defaults to the one the access token was issued for at login; operations with a
+ *       `localId` or `parentLocalId` are rejected with 400 when neither gives one.
+ *       Sending the same CREATE again returns the original `serverId` with `replayed: true` instead
+ *       of creating a duplicate, so a request that timed out can safely be sent again.
+ *
+ *       **Conflicts:** UPDATE and DELETE operations can carry the `baseVersion` (or `baseUpdatedAt`)
+ *       of the copy the client edited. When the task changed on the server since then, the request's
+ *       `conflictStrategy` decides what happens:
+ *       - `manual` (default): the operation is not applied and returns `status: 'conflict'` with
+ *         `serverTask`, `clientData` and the `conflictingFields` both sides changed.
+ *       - `server-wins`: the operation is not applied; the result carries `serverTask` to replace the
+ *         local copy.
+ *       - `client-wins`: the operation is applied as sent.
+ *       - `merge`: an UPDATE applies the fields the server has not changed, keeps the server values
+ *         of the fields both sides changed and lists them in `conflictingFields`. A DELETE only
+ *         merges when no tracked field changed on the server, otherwise it returns a conflict.
+ *       Applied operations return the new `version` of the task.
+ *
+ *       **Validation:** the whole request is checked before any operation is applied. Malformed
+ *       operations, such as a CREATE without a title or an UPDATE without `data`, reject the batch
+ *       with 400 and an error result for each of them, identified by `index`.
+ *
+ *       **Atomic batches:** by default each operation is applied on its own, so one failing
+ *       operation does not stop the others. With `atomic: true` the batch runs in a single
+ *       transaction: an `error` or `conflict` result rolls every operation back and the request
+ *       fails with 409, with the failing operation's result and `status: 'aborted'` for the rest.
+ *
+ *       All operations act on the authenticated user's personal tasks and the tasks of their workspaces.
+ *       UPDATE and DELETE operations targeting a task the user cannot see fail with `Task not found`,
+ *       and workspace viewers cannot change tasks. A CREATE with `data.workspaceId` creates the task
+ *       in that workspace.
+ *
+ *       An `Idempotency-Key` header makes the whole request safe to retry: a retry with the same
+ *       key and body returns the first response without applying the operations again.
+ *     tags: [Sync]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: Task ID
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/UpdateTaskRequest'
+ *             $ref: '#/components/schemas/SyncRequest'
+ *           example:
+ *             operations:
+ *               - type: CREATE
+ *                 localId: "local-123"
+ *                 data:
+ *                   title: "New task"
+ *                   body: "Task description"
+ *               - type: UPDATE
+ *                 serverId: 1
+ *                 data:
+ *                   completed: true
+ *               - type: DELETE
+ *                 serverId: 2
  *     responses:
  *       200:
- *         description: Task updated successfully
+ *         description: Sync results
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Task'
- *       404:
- *         description: Task not found
+ *               $ref: '#/components/schemas/SyncResponse'
+ *       400:
+ *         description: Invalid request or malformed operations; nothing was applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SyncBatchError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: |
+ *           An operation of an atomic batch failed and nothing was applied, or a request with the
+ *           same Idempotency-Key is still being processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SyncBatchError'
+ *       422:
+ *         description: The Idempotency-Key was already used with a different body
  *         content:
  *           application/json:
  *             schema:
@@ -320,82 +2607,116 @@ app.post('/todos', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-app.put('/todos/:id', async (req, res) => {
+app.post('/sync', authenticateToken, idempotent(), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { title, body, completed } = req.body;
+    const {
+      operations, conflictStrategy = 'manual', deviceId = req.user.deviceId ?? null, atomic = false
+    } = req.body;
+    const userId = Number(req.user.sub);
 
-    // Check if task exists
-    const existingStmt = db.prepare('SELECT * FROM tasks WHERE id = ?');
-    const existing = existingStmt.get(id);
+    if (!Array.isArray(operations)) {
+      return res.status(400).json({ error: 'operations must be an array' });
+    }
 
-    if (!existing) {
-      return res.status(404).json({ error: 'Task not found' });
+    if (!CONFLICT_STRATEGIES.includes(conflictStrategy)) {
+      return res.status(400).json({ error: `conflictStrategy must be one of: ${CONFLICT_STRATEGIES.join(', ')}` });
     }
 
-    const now = Date.now();
-    const stmt = db.prepare(`
-      UPDATE tasks
-      SET title = ?, body = ?, completed = ?, updated_at = ?
-      WHERE id = ?
-    `);
+    if (deviceId !== null && (typeof deviceId !== 'string' || deviceId === '' || deviceId.length > 200)) {
+      return res.status(400).json({ error: 'deviceId must be a non-empty string of at most 200 characters' });
+    }
 
-    stmt.run(
-      title ?? existing.title,
-      body ?? existing.body,
-      completed !== undefined ? (completed ? 1 : 0) : existing.completed,
-      now,
-      id
-    );
-
-    const updatedTask = {
-      id: parseInt(id),
-      title: title ?? existing.title,
-      body: body ?? existing.body,
-      completed: completed !== undefined ? completed : existing.completed === 1,
-      userId: existing.user_id,
-      created_at: existing.created_at,
-      updated_at: now
-    };
-
-    // Send push notification if task was completed
-    if (completed === true && existing.completed === 0) {
-      await sendPushNotification(existing.user_id, {
-        title: 'Task Completed',
-        body: `Task "${updatedTask.title}" has been marked as complete`
-      });
+    if (typeof atomic !== 'boolean') {
+      return res.status(400).json({ error: 'atomic must be a boolean' });
+    }
+
+    // Malformed operations reject the whole batch before anything is applied
+    const invalid = validateSyncOperations(operations);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid sync operations, none were applied', results: invalid });
+    }
+
+    // localIds are only unique per device, so without one they could match another device's tasks
+    const usesLocalIds = operations.some(op => op.localId !== undefined || op.data?.parentLocalId !== undefined);
+    if (deviceId === null && usesLocalIds) {
+      return res.status(400).json({ error: 'deviceId is required for operations with a localId' });
+    }
+
+    const ctx = { userId, deviceId, conflictStrategy, audit: { actorId: userId, source: 'sync' }, notify: [] };
+    const { results, error } = applySyncBatch(operations, ctx, atomic);
+    if (error) {
+      return res.status(409).json({ error, results });
+    }
+
+    for (const taskId of ctx.notify) {
+      await notifyAssignee(loadTask(taskId), userId);
     }
 
-    res.json(updatedTask);
+    res.json({ results });
   } catch (error) {
-    console.error('Error updating task:', error);
-    res.status(500).json({ error: 'Failed to update task' });
+    console.error('Error syncing:', error);
+    res.status(500).json({ error: 'Failed to sync' });
   }
 });
 
 /**
  * @swagger
- * /todos/{id}:
- *   delete:
- *     summary: Delete a task
- *     description: Permanently deletes a task
- *     tags: [Tasks]
+ * /sync/changes:
+ *   get:
+ *     summary: Pull task changes since a sync token
+ *     description: |
+ *       Returns the tasks created or changed since `since`, and the IDs of the tasks that were
+ *       deleted or that the user can no longer see (tombstones). Each task appears at most once, in
+ *       its current state. Store `nextToken` and send it as `since` on the next pull; while
+ *       `hasMore` is true, pull again straight away for the next page.
+ *
+ *       Without `since`, every task the user can see is returned and `deleted` is empty, which is
+ *       how a client starts or redoes a full sync.
+ *
+ *       Tokens are opaque. A token older than the server's change history (30 days by default) is
+ *       answered with 410 and `resyncRequired: true`: the client must drop its local copy and pull
+ *       again without `since`.
+ *     tags: [Sync]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *         description: Sync token returned by the previous pull
+ *       - in: query
+ *         name: _limit
  *         schema:
  *           type: integer
- *         description: Task ID
+ *           default: 20
+ *           maximum: 100
+ *         description: Maximum number of tasks and tombstones to return (capped at 100)
  *     responses:
- *       204:
- *         description: Task deleted successfully
- *       404:
- *         description: Task not found
+ *       200:
+ *         description: Changes since the token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SyncChanges'
+ *       400:
+ *         description: Invalid sync token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       410:
+ *         description: The token is too old; a full resync is required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResyncRequiredError'
  *       500:
  *         description: Server error
  *         content:
@@ -403,146 +2724,90 @@ app.put('/todos/:id', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-app.delete('/todos/:id', (req, res) => {
+app.get('/sync/changes', authenticateToken, (req, res) => {
   try {
-    const { id } = req.params;
+    const userId = Number(req.user.sub);
+    const limit = parsePageLimit(req.query);
 
-    const stmt = db.prepare('DELETE FROM tasks WHERE id = ?');
-    const result = stmt.run(id);
+    const result = getChangedTaskIds(userId, req.query.since, limit);
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
 
-    if (result.changes === 0) {
-      return res.status(404).json({ error: 'Task not found' });
+    // A task the user can no longer see, or that is in the trash, is sent as a tombstone
+    const changes = [];
+    const deleted = [];
+    for (const taskId of result.taskIds) {
+      const task = findTask(taskId, userId);
+      if (task) {
+        changes.push(task);
+      } else if (req.query.since !== undefined) {
+        deleted.push(taskId);
+      }
     }
 
-    res.status(204).send();
+    res.json({ changes, deleted, nextToken: result.nextToken, hasMore: result.hasMore });
   } catch (error) {
-    console.error('Error deleting task:', error);
-    res.status(500).json({ error: 'Failed to delete task' });
+    console.error('Error fetching sync changes:', error);
+    res.status(500).json({ error: 'Failed to fetch sync changes' });
   }
 });
 
 /**
  * @swagger
- * /sync:
- *   post:
- *     summary: Batch sync operations
+ * /events:
+ *   get:
+ *     summary: Stream task changes
  *     description: |
- *       Synchronizes multiple task operations in a single request.
- *       Supports CREATE, UPDATE, and DELETE operations for offline-first sync.
+ *       Opens a Server-Sent Events stream of changes to the tasks the user can see, made by any user
+ *       through the REST or sync API, a WebSocket or a background job. Each event carries the task as
+ *       it was right after that change:
+ *       - `task.created`: a task was created or restored from the trash. Data: `{ task, actorId, source }`
+ *       - `task.updated`: a task changed. Data: `{ task, actorId, source }`
+ *       - `task.completed`: a task was completed. Data: `{ task, actorId, source }`
+ *       - `task.deleted`: a task was moved to the trash, or moved to a workspace the user is not a
+ *         member of. Data: `{ taskId, actorId, source }`
+ *       - `task.purged`: a task in the trash was deleted for good. Data: `{ taskId }`
  *
- *       **Operation Types:**
- *       - `CREATE`: Creates a new task. Requires `localId` and `data` fields.
- *       - `UPDATE`: Updates an existing task. Requires `serverId` and `data` fields.
- *       - `DELETE`: Deletes a task. Requires `serverId` field.
- *     tags: [Sync]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/SyncRequest'
- *           example:
- *             operations:
- *               - type: CREATE
- *                 localId: "local-123"
- *                 data:
- *                   title: "New task"
- *                   body: "Task description"
- *               - type: UPDATE
- *                 serverId: 1
- *                 data:
- *                   completed: true
- *               - type: DELETE
- *                 serverId: 2
+ *       A comment line is sent every 30 seconds to keep the connection open. The stream ends when
+ *       the access token expires; reconnect with a fresh token. Send the ID of the last event
+ *       received as the `Last-Event-ID` header (or `lastEventId` query parameter) to receive the
+ *       events missed in between. When they are no longer available a `reset` event is sent, and
+ *       the client should reload its tasks with `GET /sync/changes`.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: ID of the last event received, to resume after a disconnect
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: string
+ *         description: Same as Last-Event-ID, for clients that cannot set headers
  *     responses:
  *       200:
- *         description: Sync results
+ *         description: Event stream
  *         content:
- *           application/json:
+ *           text/event-stream:
  *             schema:
- *               $ref: '#/components/schemas/SyncResponse'
- *       500:
- *         description: Server error
+ *               type: string
+ *             example: |
+ *               id: 1792429445752001
+ *               event: task.completed
+ *               data: {"task":{"id":1,"title":"Buy milk","completed":true},"actorId":2,"source":"rest"}
+ *       401:
+ *         description: Missing, invalid or expired access token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-app.post('/sync', async (req, res) => {
-  try {
-    const { operations } = req.body;
-    const results = [];
-
-    for (const op of operations) {
-      try {
-        switch (op.type) {
-          case 'CREATE': {
-            const now = Date.now();
-            const stmt = db.prepare(`
-              INSERT INTO tasks (title, body, completed, user_id, created_at, updated_at)
-              VALUES (?, ?, ?, ?, ?, ?)
-            `);
-            const result = stmt.run(
-              op.data.title,
-              op.data.body || '',
-              op.data.completed ? 1 : 0,
-              op.data.userId || 1,
-              now,
-              now
-            );
-            results.push({
-              localId: op.localId,
-              serverId: result.lastInsertRowid,
-              status: 'success'
-            });
-            break;
-          }
-          case 'UPDATE': {
-            const now = Date.now();
-            const stmt = db.prepare(`
-              UPDATE tasks
-              SET title = ?, body = ?, completed = ?, updated_at = ?
-              WHERE id = ?
-            `);
-            stmt.run(
-              op.data.title,
-              op.data.body || '',
-              op.data.completed ? 1 : 0,
-              now,
-              op.serverId
-            );
-            results.push({
-              serverId: op.serverId,
-              status: 'success'
-            });
-            break;
-          }
-          case 'DELETE': {
-            const stmt = db.prepare('DELETE FROM tasks WHERE id = ?');
-            stmt.run(op.serverId);
-            results.push({
-              serverId: op.serverId,
-              status: 'success'
-            });
-            break;
-          }
-        }
-      } catch (opError) {
-        results.push({
-          localId: op.localId,
-          serverId: op.serverId,
-          status: 'error',
-          error: opError.message
-        });
-      }
-    }
-
-    res.json({ results });
-  } catch (error) {
-    console.error('Error syncing:', error);
-    res.status(500).json({ error: 'Failed to sync' });
-  }
-});
+app.get('/events', authenticateToken, streamEvents);
 
 /**
  * @swagger
@@ -551,6 +2816,8 @@ app.post('/sync', async (req, res) => {
  *     summary: Register a device for push notifications
  *     description: Registers a device token to receive push notifications for task updates
  *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -574,6 +2841,12 @@ app.post('/sync', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -581,9 +2854,10 @@ app.post('/sync', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-app.post('/devices/register', (req, res) => {
+app.post('/devices/register', authenticateToken, (req, res) => {
   try {
-    const { token, platform, userId = 1 } = req.body;
+    const { token, platform } = req.body;
+    const userId = Number(req.user.sub);
 
     if (!token || !platform) {
       return res.status(400).json({ error: 'Token and platform are required' });
@@ -610,6 +2884,8 @@ app.post('/devices/register', (req, res) => {
  *     summary: Unregister a device
  *     description: Removes a device token from push notification list
  *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: token
@@ -620,6 +2896,12 @@ app.post('/devices/register', (req, res) => {
  *     responses:
  *       204:
  *         description: Device unregistered successfully
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -627,12 +2909,13 @@ app.post('/devices/register', (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-app.delete('/devices/:token', (req, res) => {
+app.delete('/devices/:token', authenticateToken, (req, res) => {
   try {
     const { token } = req.params;
+    const userId = Number(req.user.sub);
 
-    const stmt = db.prepare('DELETE FROM device_tokens WHERE token = ?');
-    stmt.run(token);
+    const stmt = db.prepare('DELETE FROM device_tokens WHERE token = ? AND user_id = ?');
+    stmt.run(token, userId);
 
     res.status(204).send();
   } catch (error) {
@@ -641,41 +2924,103 @@ app.delete('/devices/:token', (req, res) => {
   }
 });
 
+// Malformed JSON bodies are the client's error
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON' });
+  }
+  next(err);
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
   res.status(500).json({ error: 'Internal server error' });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`API Server running on http://localhost:${PORT}`);
-  console.log(`Swagger UI available at http://localhost:${PORT}/api-docs`);
-  console.log('');
-  console.log('Available endpoints:');
-  console.log('  GET    /health');
-  console.log('');
-  console.log('  Authentication:');
-  console.log('  POST   /auth/login');
-  console.log('  POST   /auth/register');
-  console.log('  POST   /auth/refresh');
-  console.log('  POST   /auth/logout');
-  console.log('  GET    /auth/me');
-  console.log('  POST   /auth/validate');
-  console.log('  POST   /auth/mfa/verify');
-  console.log('  POST   /auth/biometric');
-  console.log('  POST   /auth/biometric/enroll');
-  console.log('  POST   /auth/password/reset');
-  console.log('');
-  console.log('  Tasks:');
-  console.log('  GET    /todos');
-  console.log('  GET    /todos/:id');
-  console.log('  POST   /todos');
-  console.log('  PUT    /todos/:id');
-  console.log('  DELETE /todos/:id');
-  console.log('  POST   /sync');
-  console.log('');
-  console.log('  Devices:');
-  console.log('  POST   /devices/register');
-  console.log('  DELETE /devices/:token');
-});
+// Start the server when run directly; tests import the app and listen on their own port
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const server = app.listen(PORT, () => {
+    startReminderScheduler();
+    startTrashPurgeScheduler();
+    startChangeLogPruneScheduler();
+    startIdempotencyKeyPurgeScheduler();
+
+    console.log(`API Server running on http://localhost:${PORT}`);
+    console.log(`Swagger UI available at http://localhost:${PORT}/api-docs`);
+    console.log('');
+    console.log('Available endpoints:');
+    console.log('  GET    /health');
+    console.log('');
+    console.log('  Authentication:');
+    console.log('  POST   /auth/login');
+    console.log('  POST   /auth/register');
+    console.log('  POST   /auth/refresh');
+    console.log('  POST   /auth/logout');
+    console.log('  GET    /auth/me');
+    console.log('  POST   /auth/validate');
+    console.log('  POST   /auth/mfa/verify');
+    console.log('  POST   /auth/biometric');
+    console.log('  POST   /auth/biometric/enroll');
+    console.log('  POST   /auth/password/reset');
+    console.log('');
+    console.log('  Tasks:');
+    console.log('  GET    /todos');
+    console.log('  GET    /todos/search');
+    console.log('  GET    /todos/trash');
+    console.log('  GET    /todos/:id');
+    console.log('  GET    /todos/:id/subtasks');
+    console.log('  GET    /todos/:id/history');
+    console.log('  GET    /todos/:id/comments');
+    console.log('  POST   /todos/:id/comments');
+    console.log('  PUT    /todos/:id/comments/:commentId');
+    console.log('  DELETE /todos/:id/comments/:commentId');
+    console.log('  GET    /todos/:id/attachments');
+    console.log('  POST   /todos/:id/attachments');
+    console.log('  GET    /todos/:id/attachments/:attachmentId');
+    console.log('  DELETE /todos/:id/attachments/:attachmentId');
+    console.log('  POST   /todos');
+    console.log('  PUT    /todos/:id');
+    console.log('  PATCH  /todos/:id');
+    console.log('  PUT    /todos/:id/assign');
+    console.log('  DELETE /todos/:id');
+    console.log('  POST   /todos/:id/restore');
+    console.log('  POST   /todos/bulk');
+    console.log('  POST   /sync');
+    console.log('  GET    /sync/changes');
+    console.log('  GET    /events');
+    console.log('  WS     /ws');
+    console.log('');
+    console.log('  Projects:');
+    console.log('  GET    /projects');
+    console.log('  GET    /projects/:id');
+    console.log('  POST   /projects');
+    console.log('  PUT    /projects/:id');
+    console.log('  DELETE /projects/:id');
+    console.log('');
+    console.log('  Workspaces:');
+    console.log('  GET    /workspaces');
+    console.log('  POST   /workspaces');
+    console.log('  GET    /workspaces/invitations');
+    console.log('  POST   /workspaces/invitations/:invitationId/accept');
+    console.log('  POST   /workspaces/invitations/:invitationId/decline');
+    console.log('  GET    /workspaces/:id');
+    console.log('  PUT    /workspaces/:id');
+    console.log('  DELETE /workspaces/:id');
+    console.log('  GET    /workspaces/:id/members');
+    console.log('  PUT    /workspaces/:id/members/:userId');
+    console.log('  DELETE /workspaces/:id/members/:userId');
+    console.log('  GET    /workspaces/:id/invitations');
+    console.log('  POST   /workspaces/:id/invitations');
+    console.log('  DELETE /workspaces/:id/invitations/:invitationId');
+    console.log('');
+    console.log('  Devices:');
+    console.log('  POST   /devices/register');
+    console.log('  DELETE /devices/:token');
+  });
+
+  // Collaborative sessions over WebSocket on the same server
+  attachWebSocketServer(server);
+}
+
+export default app;
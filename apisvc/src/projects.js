@@ -0,0 +1,444 @@
+import express from 'express';
+import db from './database.js';
+import { authenticateToken } from './auth.js';
+import { recordTaskEvent } from './history.js';
+
+const router = express.Router();
+
+// Colors are stored as #RRGGBB hex strings
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Columns returned for a project in API responses
+const PROJECT_COLUMNS = `
+  projects.id, projects.name, projects.color, projects.archived,
+  projects.created_at, projects.updated_at,
+  (
+    SELECT COUNT(*) FROM tasks
+    WHERE tasks.project_id = projects.id AND tasks.deleted_at IS NULL
+  ) as tasksTotal,
+  (
+    SELECT COUNT(*) FROM tasks
+    WHERE tasks.project_id = projects.id AND tasks.deleted_at IS NULL AND tasks.completed = 1
+  ) as tasksCompleted
+`;
+
+/**
+ * Convert a project row into its API representation
+ */
+function formatProject(project) {
+  return {
+    ...project,
+    archived: project.archived === 1
+  };
+}
+
+/**
+ * Find a project owned by the given user
+ */
+export function findProject(id, userId) {
+  const project = db.prepare(`
+    SELECT ${PROJECT_COLUMNS} FROM projects WHERE projects.id = ? AND projects.user_id = ?
+  `).get(id, userId);
+  return project ? formatProject(project) : undefined;
+}
+
+/**
+ * Validate a project create/update payload
+ * Returns an error message, or null when the payload is acceptable
+ */
+function validateProjectInput(data) {
+  if (data.name !== undefined && (typeof data.name !== 'string' || data.name.trim() === '')) {
+    return 'name must be a non-empty string';
+  }
+
+  if (data.color !== undefined && data.color !== null &&
+      (typeof data.color !== 'string' || !COLOR_PATTERN.test(data.color))) {
+    return 'color must be a hex color such as #4A90E2';
+  }
+
+  if (data.archived !== undefined && typeof data.archived !== 'boolean') {
+    return 'archived must be a boolean';
+  }
+
+  return null;
+}
+
+/**
+ * Check whether the user already has another project with this name (case-insensitive)
+ */
+function nameTaken(name, userId, projectId = null) {
+  const existing = db.prepare('SELECT id FROM projects WHERE user_id = ? AND name = ?').get(userId, name);
+  return !!existing && existing.id !== projectId;
+}
+
+/**
+ * @swagger
+ * /projects:
+ *   get:
+ *     summary: Get all projects
+ *     description: Lists the authenticated user's projects ordered by name, with task counts.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: archived
+ *         schema:
+ *           type: boolean
+ *         description: Only return archived (true) or active (false) projects
+ *     responses:
+ *       200:
+ *         description: List of projects
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', authenticateToken, (req, res) => {
+  try {
+    const userId = Number(req.user.sub);
+    const conditions = ['projects.user_id = ?'];
+    const params = [userId];
+
+    if (req.query.archived !== undefined) {
+      if (req.query.archived !== 'true' && req.query.archived !== 'false') {
+        return res.status(400).json({ error: 'archived must be true or false' });
+      }
+      conditions.push('projects.archived = ?');
+      params.push(req.query.archived === 'true' ? 1 : 0);
+    }
+
+    const projects = db.prepare(`
+      SELECT ${PROJECT_COLUMNS} FROM projects
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY projects.name COLLATE NOCASE, projects.id
+    `).all(...params);
+
+    res.json({ data: projects.map(formatProject) });
+  } catch (error) {
+    console.error('Error fetching projects:', error);
+    res.status(500).json({ error: 'Failed to fetch projects' });
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{id}:
+ *   get:
+ *     summary: Get a project by ID
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Project found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Project not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', authenticateToken, (req, res) => {
+  try {
+    const project = findProject(req.params.id, Number(req.user.sub));
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json(project);
+  } catch (error) {
+    console.error('Error fetching project:', error);
+    res.status(500).json({ error: 'Failed to fetch project' });
+  }
+});
+
+/**
+ * @swagger
+ * /projects:
+ *   post:
+ *     summary: Create a new project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProjectRequest'
+ *     responses:
+ *       201:
+ *         description: Project created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Invalid request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A project with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', authenticateToken, (req, res) => {
+  try {
+    const { name, color = null, archived = false } = req.body;
+    const userId = Number(req.user.sub);
+
+    if (name === undefined) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const invalid = validateProjectInput(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (nameTaken(name.trim(), userId)) {
+      return res.status(409).json({ error: 'A project with this name already exists' });
+    }
+
+    const now = Date.now();
+    const result = db.prepare(`
+      INSERT INTO projects (user_id, name, color, archived, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(userId, name.trim(), color, archived ? 1 : 0, now, now);
+
+    res.status(201).json(findProject(result.lastInsertRowid, userId));
+  } catch (error) {
+    console.error('Error creating project:', error);
+    res.status(500).json({ error: 'Failed to create project' });
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{id}:
+ *   put:
+ *     summary: Update a project
+ *     description: |
+ *       Renames, recolors, archives or unarchives a project. Tasks of archived projects are
+ *       hidden from `GET /todos` unless requested with `projectId` or `includeArchived=true`.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProjectRequest'
+ *     responses:
+ *       200:
+ *         description: Project updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: Invalid request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Project not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A project with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id', authenticateToken, (req, res) => {
+  try {
+    const { name, color, archived } = req.body;
+    const userId = Number(req.user.sub);
+
+    const existing = db.prepare('SELECT * FROM projects WHERE id = ? AND user_id = ?').get(req.params.id, userId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const invalid = validateProjectInput(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (name !== undefined && nameTaken(name.trim(), userId, existing.id)) {
+      return res.status(409).json({ error: 'A project with this name already exists' });
+    }
+
+    db.prepare(`
+      UPDATE projects SET name = ?, color = ?, archived = ?, updated_at = ? WHERE id = ?
+    `).run(
+      name !== undefined ? name.trim() : existing.name,
+      color !== undefined ? color : existing.color,
+      archived !== undefined ? (archived ? 1 : 0) : existing.archived,
+      Date.now(),
+      existing.id
+    );
+
+    res.json(findProject(existing.id, userId));
+  } catch (error) {
+    console.error('Error updating project:', error);
+    res.status(500).json({ error: 'Failed to update project' });
+  }
+});
+
+/**
+ * @swagger
+ * /projects/{id}:
+ *   delete:
+ *     summary: Delete a project
+ *     description: Deletes a project. Its tasks are kept and moved out of the project (`projectId` becomes null).
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Project ID
+ *     responses:
+ *       204:
+ *         description: Project deleted successfully
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Project not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id', authenticateToken, (req, res) => {
+  try {
+    const userId = Number(req.user.sub);
+
+    const project = db.prepare('SELECT id FROM projects WHERE id = ? AND user_id = ?').get(req.params.id, userId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    // Detach the tasks explicitly so their updated_at and history reflect the change
+    db.transaction(() => {
+      const now = Date.now();
+      const audit = { actorId: userId, source: 'rest' };
+      const tasks = db.prepare('UPDATE tasks SET project_id = NULL, updated_at = ? WHERE project_id = ? RETURNING id')
+        .all(now, project.id);
+      for (const task of tasks) {
+        recordTaskEvent(task.id, 'update', audit, { projectId: project.id }, { projectId: null });
+      }
+      db.prepare('DELETE FROM projects WHERE id = ?').run(project.id);
+    })();
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting project:', error);
+    res.status(500).json({ error: 'Failed to delete project' });
+  }
+});
+
+export default router;
@@ -0,0 +1,306 @@
+import { WebSocketServer } from 'ws';
+import db from './database.js';
+import { verifyAccessToken, onLogout } from './auth.js';
+import { taskAccessCondition } from './workspaces.js';
+import { subscribe } from './events.js';
+import { createTask, updateTask, deleteTask, parseTaskPatch } from './tasks.js';
+
+// Path of the WebSocket endpoint
+const WS_PATH = '/ws';
+
+// How long before the access token expires the client is asked for a new one
+const TOKEN_RENEWAL_NOTICE_MS = 60 * 1000; // 1 minute
+
+// How often connections are pinged, so ones that dropped without closing are cleaned up
+const PING_INTERVAL_MS = 30 * 1000; // 30 seconds
+
+// Close codes sent to the client
+const CLOSE_TOKEN_EXPIRED = 4001;
+const CLOSE_TOKEN_REVOKED = 4003;
+
+// Task mutations a client can send
+const MUTATIONS = ['create', 'update', 'delete'];
+
+// Open connections: { socket, user, userId, allTasks, tasks, timers, alive, unsubscribe }
+const connections = new Set();
+
+/**
+ * Send a JSON message on a connection
+ */
+function send(connection, message) {
+  if (connection.socket.readyState === connection.socket.OPEN) {
+    connection.socket.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Whether a user can see a task that is not in the trash
+ */
+function canSeeTask(taskId, userId) {
+  const access = taskAccessCondition(userId);
+  return !!db.prepare(`
+    SELECT id FROM tasks WHERE tasks.id = ? AND tasks.deleted_at IS NULL AND ${access.sql}
+  `).get(taskId, ...access.params);
+}
+
+/**
+ * Tell the connections following a task who is viewing it
+ * Users viewing a task are the ones with a connection subscribed to it.
+ */
+function broadcastPresence(taskId) {
+  const viewers = new Map();
+  for (const connection of connections) {
+    if (connection.tasks.has(taskId)) {
+      viewers.set(connection.userId, { id: connection.userId, name: connection.user.name });
+    }
+  }
+
+  for (const connection of connections) {
+    const following = connection.tasks.has(taskId) ||
+      (connection.allTasks && canSeeTask(taskId, connection.userId));
+    if (following) {
+      send(connection, { type: 'presence', taskId, viewers: [...viewers.values()] });
+    }
+  }
+}
+
+/**
+ * Schedule the token renewal notice and the close on expiry for the connection's access token
+ */
+function scheduleTokenExpiry(connection) {
+  clearTimeout(connection.timers.renewal);
+  clearTimeout(connection.timers.expiry);
+
+  const expiresAt = connection.user.exp * 1000;
+  connection.timers.renewal = setTimeout(() => {
+    send(connection, { type: 'token.expiring', expiresAt });
+  }, Math.max(expiresAt - TOKEN_RENEWAL_NOTICE_MS - Date.now(), 0));
+  connection.timers.expiry = setTimeout(() => {
+    connection.socket.close(CLOSE_TOKEN_EXPIRED, 'Access token expired');
+  }, Math.max(expiresAt - Date.now(), 0));
+}
+
+/**
+ * Replace the connection's access token with a renewed one for the same user
+ */
+function renewToken(connection, message) {
+  const { user, message: error } = verifyAccessToken(String(message.token));
+  if (!user) {
+    return send(connection, { type: 'error', error });
+  }
+  if (Number(user.sub) !== connection.userId) {
+    return send(connection, { type: 'error', error: 'The token belongs to another user' });
+  }
+
+  connection.user = user;
+  scheduleTokenExpiry(connection);
+  send(connection, { type: 'authenticated', expiresAt: user.exp * 1000 });
+}
+
+/**
+ * Follow a task, or the whole task list when no taskId is given
+ */
+function subscribeTo(connection, { taskId }) {
+  if (taskId === undefined) {
+    connection.allTasks = true;
+    return send(connection, { type: 'subscribed' });
+  }
+
+  if (!Number.isInteger(taskId) || !canSeeTask(taskId, connection.userId)) {
+    return send(connection, { type: 'error', error: 'Task not found', taskId });
+  }
+
+  connection.tasks.add(taskId);
+  send(connection, { type: 'subscribed', taskId });
+  broadcastPresence(taskId);
+}
+
+/**
+ * Stop following a task, or the whole task list when no taskId is given
+ */
+function unsubscribeFrom(connection, { taskId }) {
+  if (taskId === undefined) {
+    connection.allTasks = false;
+    return send(connection, { type: 'unsubscribed' });
+  }
+
+  if (connection.tasks.delete(taskId)) {
+    broadcastPresence(taskId);
+  }
+  send(connection, { type: 'unsubscribed', taskId });
+}
+
+/**
+ * Apply a task write of a mutation message
+ * update takes a JSON Merge Patch, as PATCH /todos/:id does.
+ */
+function applyMutation(connection, { action, taskId, data = {}, version }) {
+  const audit = { actorId: connection.userId, source: 'websocket' };
+  const ifMatch = version !== undefined ? `"${version}"` : undefined;
+
+  switch (action) {
+    case 'create':
+      return createTask(data, connection.userId, audit);
+    case 'update': {
+      const { changes, error } = parseTaskPatch(data);
+      if (error) return { status: 400, error };
+      return updateTask(taskId, changes, connection.userId, { audit, ifMatch });
+    }
+    case 'delete':
+      return deleteTask(taskId, connection.userId, { audit, ifMatch });
+  }
+}
+
+/**
+ * Apply a task mutation with the same validation, permissions, history, notifications and change
+ * events as the REST routes
+ * The outcome comes back as a result message with the status and body the REST route would send.
+ */
+async function mutate(connection, message) {
+  const { requestId, action, taskId } = message;
+
+  if (!MUTATIONS.includes(action)) {
+    return send(connection, { type: 'error', requestId, error: `action must be one of: ${MUTATIONS.join(', ')}` });
+  }
+  if (action !== 'create' && !Number.isInteger(taskId)) {
+    return send(connection, { type: 'error', requestId, error: 'taskId must be a task ID' });
+  }
+
+  try {
+    const { status, task, error } = await applyMutation(connection, message);
+    send(connection, {
+      type: 'result',
+      requestId,
+      status,
+      body: error ? { error, ...(task && { task }) } : task ?? null
+    });
+  } catch (error) {
+    console.error('Error applying WebSocket mutation:', error);
+    send(connection, { type: 'error', requestId, error: 'Failed to apply mutation' });
+  }
+}
+
+/**
+ * Set up a connection authenticated with an access token
+ */
+function openConnection(socket, user) {
+  const connection = {
+    socket,
+    user,
+    userId: Number(user.sub),
+    allTasks: false,
+    tasks: new Set(),
+    timers: {},
+    alive: true
+  };
+  connections.add(connection);
+
+  // Forward the user's task events for the tasks this connection follows
+  connection.unsubscribe = subscribe(connection.userId, (event) => {
+    const taskId = event.data.task?.id ?? event.data.taskId;
+    if (!connection.allTasks && !connection.tasks.has(taskId)) return;
+
+    send(connection, { type: 'event', id: event.id, event: event.type, data: event.data });
+    if (event.type === 'task.deleted' && connection.tasks.delete(taskId)) {
+      broadcastPresence(taskId);
+    }
+  });
+
+  scheduleTokenExpiry(connection);
+
+  socket.on('pong', () => {
+    connection.alive = true;
+  });
+
+  socket.on('message', (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      return send(connection, { type: 'error', error: 'Messages must be JSON' });
+    }
+
+    switch (message?.type) {
+      case 'auth':
+        return renewToken(connection, message);
+      case 'subscribe':
+        return subscribeTo(connection, message);
+      case 'unsubscribe':
+        return unsubscribeFrom(connection, message);
+      case 'mutate':
+        return mutate(connection, message);
+      default:
+        return send(connection, {
+          type: 'error',
+          requestId: message?.requestId,
+          error: 'type must be one of: auth, subscribe, unsubscribe, mutate'
+        });
+    }
+  });
+
+  socket.on('close', () => {
+    connections.delete(connection);
+    connection.unsubscribe();
+    clearTimeout(connection.timers.renewal);
+    clearTimeout(connection.timers.expiry);
+    for (const taskId of connection.tasks) {
+      broadcastPresence(taskId);
+    }
+  });
+
+  send(connection, {
+    type: 'ready',
+    user: { id: connection.userId, name: user.name },
+    expiresAt: user.exp * 1000
+  });
+}
+
+/**
+ * Accept WebSocket connections on /ws of an HTTP server
+ * The access token is sent in the Authorization header or, for browsers, the access_token query
+ * parameter. Connections are closed when their token expires without being renewed, or when it
+ * is revoked by a logout.
+ * @param {import('http').Server} server - The server the Express app listens on
+ */
+export function attachWebSocketServer(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== WS_PATH) {
+      return socket.destroy();
+    }
+
+    const token = req.headers.authorization?.split(' ')[1] ?? url.searchParams.get('access_token');
+    const { user } = token ? verifyAccessToken(token) : {};
+    if (!user) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      return socket.destroy();
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => openConnection(ws, user));
+  });
+
+  // Close the connections of a revoked token, or all of the user's on a logout from all devices
+  onLogout(({ userId, jti, allDevices }) => {
+    for (const connection of connections) {
+      if (connection.user.jti === jti || (allDevices && connection.userId === userId)) {
+        connection.socket.close(CLOSE_TOKEN_REVOKED, 'Access token revoked');
+      }
+    }
+  });
+
+  const ping = setInterval(() => {
+    for (const connection of connections) {
+      if (!connection.alive) {
+        connection.socket.terminate();
+        continue;
+      }
+      connection.alive = false;
+      connection.socket.ping();
+    }
+  }, PING_INTERVAL_MS);
+  server.on('close', () => clearInterval(ping));
+
+  return wss;
+}
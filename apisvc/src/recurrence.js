@@ -0,0 +1,186 @@
+/**
+ * Recurrence rules for repeating tasks
+ *
+ * Supports a subset of iCalendar RRULE (RFC 5545):
+ *   FREQ=DAILY|WEEKLY|MONTHLY   (required)
+ *   INTERVAL=n                  every n days/weeks/months (default 1)
+ *   BYDAY=MO,WE,FR              weekdays, WEEKLY only
+ *   BYMONTHDAY=15 or -1         day of the month, MONTHLY only (negative counts from the end)
+ *   COUNT=n                     total number of occurrences in the series
+ *   UNTIL=20241231[T235959Z]    last possible occurrence date
+ *
+ * All date arithmetic is done in UTC and keeps the time of day of the previous occurrence.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+/**
+ * Parse an UNTIL value (YYYYMMDD or YYYYMMDDTHHMMSSZ) into a timestamp
+ * A date without time covers the whole day.
+ */
+function parseUntil(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(value);
+  if (!match) return NaN;
+
+  const [, year, month, day, hours, minutes, seconds] = match;
+  if (hours === undefined) {
+    return Date.UTC(year, month - 1, day, 23, 59, 59, 999);
+  }
+  return Date.UTC(year, month - 1, day, hours, minutes, seconds);
+}
+
+/**
+ * Parse and validate a recurrence rule
+ * Accepts the rule with or without an "RRULE:" prefix.
+ * @param {string} rule - The RRULE string
+ * @returns {{ rule?: object, error?: string }}
+ */
+export function parseRecurrence(rule) {
+  if (typeof rule !== 'string' || rule.trim() === '') {
+    return { error: 'recurrence must be an RRULE string' };
+  }
+
+  const parts = {};
+  for (const part of rule.trim().replace(/^RRULE:/i, '').split(';')) {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined) {
+      return { error: `Invalid recurrence rule part "${part}"` };
+    }
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  const parsed = { freq: parts.FREQ, interval: 1, byDay: null, byMonthDay: null, count: null, until: null };
+
+  if (!FREQUENCIES.includes(parsed.freq)) {
+    return { error: `recurrence FREQ must be one of: ${FREQUENCIES.join(', ')}` };
+  }
+
+  for (const key of Object.keys(parts)) {
+    if (!['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL'].includes(key)) {
+      return { error: `Unsupported recurrence rule part ${key}` };
+    }
+  }
+
+  if (parts.INTERVAL !== undefined) {
+    parsed.interval = Number(parts.INTERVAL);
+    if (!Number.isInteger(parsed.interval) || parsed.interval < 1) {
+      return { error: 'recurrence INTERVAL must be a positive integer' };
+    }
+  }
+
+  if (parts.BYDAY !== undefined) {
+    if (parsed.freq !== 'WEEKLY') {
+      return { error: 'recurrence BYDAY is only supported with FREQ=WEEKLY' };
+    }
+    const days = parts.BYDAY.split(',');
+    if (!days.every(day => WEEKDAYS.includes(day))) {
+      return { error: `recurrence BYDAY must list weekdays (${WEEKDAYS.join(', ')})` };
+    }
+    parsed.byDay = days.map(day => WEEKDAYS.indexOf(day));
+  }
+
+  if (parts.BYMONTHDAY !== undefined) {
+    if (parsed.freq !== 'MONTHLY') {
+      return { error: 'recurrence BYMONTHDAY is only supported with FREQ=MONTHLY' };
+    }
+    parsed.byMonthDay = Number(parts.BYMONTHDAY);
+    const day = Math.abs(parsed.byMonthDay);
+    if (!Number.isInteger(parsed.byMonthDay) || day < 1 || day > 31) {
+      return { error: 'recurrence BYMONTHDAY must be between 1 and 31, or -31 and -1' };
+    }
+  }
+
+  if (parts.COUNT !== undefined && parts.UNTIL !== undefined) {
+    return { error: 'recurrence cannot have both COUNT and UNTIL' };
+  }
+
+  if (parts.COUNT !== undefined) {
+    parsed.count = Number(parts.COUNT);
+    if (!Number.isInteger(parsed.count) || parsed.count < 1) {
+      return { error: 'recurrence COUNT must be a positive integer' };
+    }
+  }
+
+  if (parts.UNTIL !== undefined) {
+    parsed.until = parseUntil(parts.UNTIL);
+    if (Number.isNaN(parsed.until)) {
+      return { error: 'recurrence UNTIL must be a date (YYYYMMDD or YYYYMMDDTHHMMSSZ)' };
+    }
+  }
+
+  return { rule: parsed };
+}
+
+/**
+ * Resolve a BYMONTHDAY value for a given month
+ * Returns the day of the month, or null when the month does not have that day
+ */
+function resolveMonthDay(year, month, byMonthDay) {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const day = byMonthDay > 0 ? byMonthDay : daysInMonth + byMonthDay + 1;
+  return day >= 1 && day <= daysInMonth ? day : null;
+}
+
+/**
+ * Start of the ISO week (Monday 00:00 UTC) containing a timestamp
+ */
+function weekStart(timestamp) {
+  const date = new Date(timestamp);
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday);
+}
+
+/**
+ * Compute the occurrence that follows a previous one
+ * @param {object} rule - A rule returned by parseRecurrence
+ * @param {number} previous - Timestamp of the previous occurrence
+ * @param {number} occurrence - 1-based position of the previous occurrence in the series
+ * @returns {number|null} Timestamp of the next occurrence, or null when the series has ended
+ */
+export function nextOccurrence(rule, previous, occurrence = 1) {
+  if (rule.count !== null && occurrence >= rule.count) return null;
+
+  let next = null;
+
+  if (rule.freq === 'DAILY') {
+    next = previous + rule.interval * DAY_MS;
+  } else if (rule.freq === 'WEEKLY' && !rule.byDay) {
+    next = previous + rule.interval * 7 * DAY_MS;
+  } else if (rule.freq === 'WEEKLY') {
+    // Walk forward day by day until a listed weekday in an active week
+    const firstWeek = weekStart(previous);
+    for (let days = 1; days <= 7 * rule.interval; days++) {
+      const candidate = previous + days * DAY_MS;
+      const weeksApart = Math.round((weekStart(candidate) - firstWeek) / (7 * DAY_MS));
+      if (weeksApart % rule.interval === 0 && rule.byDay.includes(new Date(candidate).getUTCDay())) {
+        next = candidate;
+        break;
+      }
+    }
+  } else if (rule.freq === 'MONTHLY') {
+    const date = new Date(previous);
+    const byMonthDay = rule.byMonthDay ?? date.getUTCDate();
+    // Months without the requested day are skipped, as RFC 5545 requires.
+    // Step 0 covers a BYMONTHDAY later in the same month as the previous occurrence.
+    for (let step = 0; step <= 12; step++) {
+      const month = date.getUTCMonth() + step * rule.interval;
+      const year = date.getUTCFullYear() + Math.floor(month / 12);
+      const day = resolveMonthDay(year, month % 12, byMonthDay);
+      if (day === null) continue;
+
+      const candidate = Date.UTC(
+        year, month % 12, day,
+        date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), date.getUTCMilliseconds()
+      );
+      if (candidate > previous) {
+        next = candidate;
+        break;
+      }
+    }
+  }
+
+  if (next === null || (rule.until !== null && next > rule.until)) return null;
+  return next;
+}
@@ -0,0 +1,58 @@
+import db from './database.js';
+import { sendPushNotification } from './notifications.js';
+
+// How often pending reminders are checked
+const REMINDER_INTERVAL_MS = parseInt(process.env.REMINDER_INTERVAL_MS) || 60 * 1000;
+
+let running = false;
+
+/**
+ * Send push notifications for every reminder that has come due.
+ * Each reminder is claimed by setting reminder_sent_at before the push goes out,
+ * so it is delivered at most once even if a run overlaps or the push fails.
+ */
+export async function processDueReminders() {
+  if (running) return;
+  running = true;
+
+  try {
+    const now = Date.now();
+    const dueStmt = db.prepare(`
+      SELECT id, title, user_id, due_at, remind_at
+      FROM tasks
+      WHERE remind_at IS NOT NULL
+        AND remind_at <= ?
+        AND reminder_sent_at IS NULL
+        AND completed = 0
+        AND deleted_at IS NULL
+    `);
+    const claimStmt = db.prepare(`
+      UPDATE tasks SET reminder_sent_at = ? WHERE id = ? AND reminder_sent_at IS NULL
+    `);
+
+    for (const task of dueStmt.all(now)) {
+      const claimed = claimStmt.run(now, task.id);
+      if (claimed.changes === 0) continue;
+
+      await sendPushNotification(task.user_id, {
+        title: 'Task Reminder',
+        body: task.due_at
+          ? `Task "${task.title}" is due ${new Date(task.due_at).toISOString()}`
+          : `Reminder for task "${task.title}"`,
+        data: { type: 'reminder', taskId: String(task.id) }
+      });
+    }
+  } catch (error) {
+    console.error('Error processing reminders:', error);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the periodic reminder scheduler
+ */
+export function startReminderScheduler() {
+  processDueReminders();
+  return setInterval(processDueReminders, REMINDER_INTERVAL_MS);
+}
@@ -35,10 +35,30 @@ const options = {
         name: 'Tasks',
         description: 'Task management operations'
       },
+      {
+        name: 'Comments',
+        description: 'Task comments and mentions'
+      },
+      {
+        name: 'Attachments',
+        description: 'Files attached to tasks'
+      },
+      {
+        name: 'Projects',
+        description: 'Projects that group tasks into lists'
+      },
+      {
+        name: 'Workspaces',
+        description: 'Team workspaces, members and invitations'
+      },
       {
         name: 'Sync',
         description: 'Offline-first synchronization'
       },
+      {
+        name: 'Events',
+        description: 'Live task changes'
+      },
       {
         name: 'Devices',
         description: 'Push notification device management'
@@ -69,11 +89,96 @@ const options = {
               description: 'Task completion status',
               example: false
             },
+            priority: {
+              type: 'string',
+              enum: ['low', 'medium', 'high', 'urgent'],
+              description: 'Task priority',
+              example: 'medium'
+            },
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Free-form tags',
+              example: ['work', 'docs']
+            },
             userId: {
               type: 'integer',
-              description: 'User ID who owns the task',
+              description: 'User ID who created the task',
+              example: 1
+            },
+            workspaceId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Workspace the task belongs to (null for a personal task)',
+              example: null
+            },
+            assigneeId: {
+              type: 'integer',
+              nullable: true,
+              description: 'User ID of the assignee',
+              example: null
+            },
+            parentId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Parent task ID when this task is a subtask',
+              example: null
+            },
+            projectId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Project the task belongs to',
+              example: 3
+            },
+            autoComplete: {
+              type: 'boolean',
+              description: 'Whether the task is completed automatically once all of its subtasks are done',
+              example: false
+            },
+            recurrence: {
+              type: 'string',
+              nullable: true,
+              description: 'Recurrence rule (RRULE subset: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL)',
+              example: 'FREQ=WEEKLY;BYDAY=MO'
+            },
+            seriesId: {
+              type: 'integer',
+              nullable: true,
+              description: 'ID of the first task of the recurring series this task belongs to',
+              example: 1
+            },
+            occurrence: {
+              type: 'integer',
+              description: 'Position of the task in its recurring series (1-based)',
+              example: 1
+            },
+            subtasksTotal: {
+              type: 'integer',
+              description: 'Number of direct subtasks',
+              example: 3
+            },
+            subtasksCompleted: {
+              type: 'integer',
+              description: 'Number of completed direct subtasks',
               example: 1
             },
+            commentsCount: {
+              type: 'integer',
+              description: 'Number of comments on the task',
+              example: 2
+            },
+            due_at: {
+              type: 'integer',
+              nullable: true,
+              description: 'Due date timestamp in milliseconds',
+              example: 1704153600000
+            },
+            remind_at: {
+              type: 'integer',
+              nullable: true,
+              description: 'Reminder timestamp in milliseconds. A push notification is sent once when it comes due',
+              example: 1704150000000
+            },
             created_at: {
               type: 'integer',
               description: 'Creation timestamp in milliseconds',
@@ -83,6 +188,426 @@ const options = {
               type: 'integer',
               description: 'Last update timestamp in milliseconds',
               example: 1704067200000
+            },
+            deleted_at: {
+              type: 'integer',
+              nullable: true,
+              description: 'Timestamp in milliseconds when the task was moved to the trash',
+              example: null
+            },
+            version: {
+              type: 'integer',
+              description: 'Increases on every change to the task. Returned as the ETag of GET /todos/{id}',
+              example: 3
+            }
+          }
+        },
+        StaleTaskError: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'string',
+              example: 'The task has been changed since it was read'
+            },
+            task: {
+              $ref: '#/components/schemas/Task'
+            }
+          }
+        },
+        TaskEvent: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'Event ID',
+              example: 12
+            },
+            event: {
+              type: 'string',
+              enum: ['create', 'update', 'complete', 'uncomplete', 'delete', 'restore'],
+              description: 'What happened to the task',
+              example: 'uncomplete'
+            },
+            source: {
+              type: 'string',
+              enum: ['rest', 'sync', 'websocket'],
+              description: 'Whether the change came through the REST API, POST /sync or a WebSocket mutation',
+              example: 'sync'
+            },
+            actor: {
+              type: 'object',
+              description: 'User who made the change',
+              properties: {
+                id: { type: 'integer', example: 2 },
+                name: { type: 'string', example: 'Ana Pérez' }
+              }
+            },
+            before: {
+              type: 'object',
+              nullable: true,
+              description: 'Values of the changed fields before the change (null for create)',
+              example: { completed: true }
+            },
+            after: {
+              type: 'object',
+              nullable: true,
+              description: 'Values of the changed fields after the change (full task for create)',
+              example: { completed: false }
+            },
+            created_at: {
+              type: 'integer',
+              description: 'Event timestamp in milliseconds',
+              example: 1704067200000
+            }
+          }
+        },
+        BulkRequest: {
+          type: 'object',
+          required: ['action'],
+          properties: {
+            action: {
+              type: 'string',
+              enum: ['complete', 'uncomplete', 'delete', 'reassign', 'retitle'],
+              description: 'Change to apply to every task',
+              example: 'delete'
+            },
+            ids: {
+              type: 'array',
+              items: { type: 'integer' },
+              maxItems: 500,
+              description: 'Tasks to change. Provide either ids or filter',
+              example: [1, 2, 3]
+            },
+            filter: {
+              type: 'object',
+              description: 'Select the tasks with the GET /todos filters instead of ids (at most 500 matches)',
+              example: { completed: true, projectId: 3 }
+            },
+            assigneeId: {
+              type: 'integer',
+              nullable: true,
+              description: 'New assignee for the reassign action, or null to unassign',
+              example: 2
+            },
+            prefix: {
+              type: 'string',
+              description: 'Title prefix to replace for the retitle action',
+              example: 'WIP: '
+            },
+            replacement: {
+              type: 'string',
+              description: 'Text that replaces the prefix for the retitle action (may be empty)',
+              example: ''
+            }
+          }
+        },
+        BulkResult: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'Task ID',
+              example: 1
+            },
+            status: {
+              type: 'string',
+              enum: ['success', 'skipped', 'error'],
+              description: 'skipped means the change did not apply to the task',
+              example: 'success'
+            },
+            error: {
+              type: 'string',
+              description: 'Why the task could not be changed',
+              example: 'Task not found'
+            },
+            nextOccurrenceId: {
+              type: 'integer',
+              description: 'Next occurrence created by completing a recurring task',
+              example: 9
+            }
+          }
+        },
+        Comment: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'Comment ID',
+              example: 5
+            },
+            taskId: {
+              type: 'integer',
+              description: 'Task the comment belongs to',
+              example: 1
+            },
+            author: {
+              type: 'object',
+              description: 'User who wrote the comment',
+              properties: {
+                id: { type: 'integer', example: 2 },
+                name: { type: 'string', example: 'Ana Pérez' }
+              }
+            },
+            body: {
+              type: 'string',
+              description: 'Comment text',
+              example: '@12.345.678-9 can you review this before Friday?'
+            },
+            mentions: {
+              type: 'array',
+              description: 'Users mentioned in the comment',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer', example: 1 },
+                  name: { type: 'string', example: 'Juan Pérez' }
+                }
+              }
+            },
+            created_at: {
+              type: 'integer',
+              description: 'Creation timestamp in milliseconds',
+              example: 1704067200000
+            },
+            updated_at: {
+              type: 'integer',
+              description: 'Last edit timestamp in milliseconds',
+              example: 1704067200000
+            }
+          }
+        },
+        CommentRequest: {
+          type: 'object',
+          required: ['body'],
+          properties: {
+            body: {
+              type: 'string',
+              maxLength: 5000,
+              description: 'Comment text. Mention users who can see the task as @document or @name',
+              example: '@12.345.678-9 can you review this before Friday?'
+            }
+          }
+        },
+        Attachment: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'Attachment ID',
+              example: 7
+            },
+            taskId: {
+              type: 'integer',
+              description: 'Task the file is attached to',
+              example: 1
+            },
+            filename: {
+              type: 'string',
+              description: 'Original filename',
+              example: 'invoice.pdf'
+            },
+            mimeType: {
+              type: 'string',
+              description: 'MIME type given at upload',
+              example: 'application/pdf'
+            },
+            size: {
+              type: 'integer',
+              description: 'File size in bytes',
+              example: 48213
+            },
+            sha256: {
+              type: 'string',
+              description: 'SHA-256 digest of the file contents, hex-encoded',
+              example: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08'
+            },
+            uploader: {
+              type: 'object',
+              description: 'User who uploaded the file',
+              properties: {
+                id: { type: 'integer', example: 2 },
+                name: { type: 'string', example: 'Ana Pérez' }
+              }
+            },
+            created_at: {
+              type: 'integer',
+              description: 'Upload timestamp in milliseconds',
+              example: 1704067200000
+            }
+          }
+        },
+        Project: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'Unique project identifier',
+              example: 3
+            },
+            name: {
+              type: 'string',
+              description: 'Project name, unique per user (case-insensitive)',
+              example: 'Home'
+            },
+            color: {
+              type: 'string',
+              nullable: true,
+              description: 'Hex color',
+              example: '#4A90E2'
+            },
+            archived: {
+              type: 'boolean',
+              description: 'Archived projects hide their tasks from the default task listing',
+              example: false
+            },
+            tasksTotal: {
+              type: 'integer',
+              description: 'Number of tasks in the project (excluding the trash)',
+              example: 8
+            },
+            tasksCompleted: {
+              type: 'integer',
+              description: 'Number of completed tasks in the project',
+              example: 5
+            },
+            created_at: {
+              type: 'integer',
+              description: 'Creation timestamp in milliseconds',
+              example: 1704067200000
+            },
+            updated_at: {
+              type: 'integer',
+              description: 'Last update timestamp in milliseconds',
+              example: 1704067200000
+            }
+          }
+        },
+        ProjectRequest: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Project name (required on create)',
+              example: 'Home'
+            },
+            color: {
+              type: 'string',
+              nullable: true,
+              description: 'Hex color in #RRGGBB form',
+              example: '#4A90E2'
+            },
+            archived: {
+              type: 'boolean',
+              description: 'Archive or unarchive the project',
+              example: false
+            }
+          }
+        },
+        Workspace: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'Unique workspace identifier',
+              example: 1
+            },
+            name: {
+              type: 'string',
+              description: 'Workspace name',
+              example: 'Mobile team'
+            },
+            ownerId: {
+              type: 'integer',
+              description: 'User ID of the owner',
+              example: 1
+            },
+            role: {
+              type: 'string',
+              enum: ['owner', 'admin', 'member', 'viewer'],
+              description: 'Role of the authenticated user in the workspace',
+              example: 'member'
+            },
+            membersCount: {
+              type: 'integer',
+              description: 'Number of members',
+              example: 4
+            },
+            created_at: {
+              type: 'integer',
+              description: 'Creation timestamp in milliseconds',
+              example: 1704067200000
+            },
+            updated_at: {
+              type: 'integer',
+              description: 'Last update timestamp in milliseconds',
+              example: 1704067200000
+            }
+          }
+        },
+        WorkspaceMember: {
+          type: 'object',
+          properties: {
+            userId: {
+              type: 'integer',
+              example: 2
+            },
+            name: {
+              type: 'string',
+              example: 'Ana Pérez'
+            },
+            document: {
+              type: 'string',
+              example: '12.345.678-9'
+            },
+            role: {
+              type: 'string',
+              enum: ['owner', 'admin', 'member', 'viewer'],
+              example: 'viewer'
+            },
+            joined_at: {
+              type: 'integer',
+              description: 'Timestamp in milliseconds when the user joined the workspace',
+              example: 1704067200000
+            }
+          }
+        },
+        WorkspaceInvitation: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              example: 7
+            },
+            workspaceId: {
+              type: 'integer',
+              example: 1
+            },
+            workspaceName: {
+              type: 'string',
+              example: 'Mobile team'
+            },
+            document: {
+              type: 'string',
+              description: 'Document of the invited user',
+              example: '12.345.678-9'
+            },
+            role: {
+              type: 'string',
+              enum: ['admin', 'member', 'viewer'],
+              description: 'Role granted when the invitation is accepted',
+              example: 'member'
+            },
+            invitedBy: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer', example: 1 },
+                name: { type: 'string', example: 'João Silva' }
+              }
+            },
+            created_at: {
+              type: 'integer',
+              description: 'Invitation timestamp in milliseconds',
+              example: 1704067200000
             }
           }
         },
@@ -100,10 +625,60 @@ const options = {
               description: 'Task description',
               example: 'Task description here'
             },
-            userId: {
+            priority: {
+              type: 'string',
+              enum: ['low', 'medium', 'high', 'urgent'],
+              default: 'medium',
+              description: 'Task priority'
+            },
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Free-form tags',
+              example: ['work']
+            },
+            parentId: {
               type: 'integer',
-              description: 'User ID',
-              example: 1
+              nullable: true,
+              description: 'Parent task ID to create the task as a subtask'
+            },
+            projectId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Project to create the task in'
+            },
+            workspaceId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Workspace to create the task in. Subtasks default to the workspace of their parent'
+            },
+            assigneeId: {
+              type: 'integer',
+              nullable: true,
+              description: 'User to assign the task to (a workspace member, or the creator for personal tasks)'
+            },
+            autoComplete: {
+              type: 'boolean',
+              default: false,
+              description: 'Complete the task automatically once all of its subtasks are done'
+            },
+            recurrence: {
+              type: 'string',
+              nullable: true,
+              description: 'Recurrence rule. Completing the task creates the next occurrence',
+              example: 'FREQ=WEEKLY;BYDAY=MO;COUNT=10'
+            },
+            due_at: {
+              type: 'integer',
+              nullable: true,
+              description: 'Due date timestamp in milliseconds',
+              example: 1704153600000
+            },
+            remind_at: {
+              type: 'integer',
+              nullable: true,
+              description: 'Reminder timestamp in milliseconds',
+              example: 1704150000000
             }
           }
         },
@@ -124,6 +699,55 @@ const options = {
               type: 'boolean',
               description: 'Task completion status',
               example: true
+            },
+            priority: {
+              type: 'string',
+              enum: ['low', 'medium', 'high', 'urgent'],
+              description: 'Task priority'
+            },
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Replaces all tags of the task when provided'
+            },
+            parentId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Move the task under another parent (null makes it a top-level task)'
+            },
+            projectId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Move the task to another project (null removes it from its project)'
+            },
+            workspaceId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Move the task and its subtasks to another workspace (null moves it to the creator\'s personal list)'
+            },
+            assigneeId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Reassign the task (null unassigns it)'
+            },
+            autoComplete: {
+              type: 'boolean',
+              description: 'Complete the task automatically once all of its subtasks are done'
+            },
+            recurrence: {
+              type: 'string',
+              nullable: true,
+              description: 'Recurrence rule (null stops the series)'
+            },
+            due_at: {
+              type: 'integer',
+              nullable: true,
+              description: 'Due date timestamp in milliseconds (null clears it)'
+            },
+            remind_at: {
+              type: 'integer',
+              nullable: true,
+              description: 'Reminder timestamp in milliseconds (null clears it). Changing it re-arms the reminder'
             }
           }
         },
@@ -146,14 +770,37 @@ const options = {
               description: 'Server ID for UPDATE/DELETE operations',
               example: 1
             },
+            baseVersion: {
+              type: 'integer',
+              description: 'Version of the task the client edited, for conflict detection on UPDATE/DELETE',
+              example: 3
+            },
+            baseUpdatedAt: {
+              type: 'integer',
+              description: 'updated_at of the task the client edited, when the client does not keep versions',
+              example: 1704067200000
+            },
             data: {
               type: 'object',
-              description: 'Task data for CREATE/UPDATE operations',
+              description: 'Task data for CREATE/UPDATE operations. UPDATE only changes the fields present',
               properties: {
                 title: { type: 'string' },
                 body: { type: 'string' },
                 completed: { type: 'boolean' },
-                userId: { type: 'integer' }
+                priority: { type: 'string', enum: ['low', 'medium', 'high', 'urgent'] },
+                tags: { type: 'array', items: { type: 'string' } },
+                parentId: { type: 'integer', nullable: true },
+                parentLocalId: {
+                  type: 'string',
+                  description: 'localId of a CREATE synced earlier (in this or a previous request from the same device) to use as parent'
+                },
+                projectId: { type: 'integer', nullable: true },
+                workspaceId: { type: 'integer', nullable: true },
+                assigneeId: { type: 'integer', nullable: true },
+                autoComplete: { type: 'boolean' },
+                recurrence: { type: 'string', nullable: true },
+                due_at: { type: 'integer', nullable: true },
+                remind_at: { type: 'integer', nullable: true }
               }
             }
           }
@@ -167,12 +814,35 @@ const options = {
               items: {
                 $ref: '#/components/schemas/SyncOperation'
               }
+            },
+            deviceId: {
+              type: 'string',
+              minLength: 1,
+              maxLength: 200,
+              description: 'Stable ID of the client device, by default the one the access token was issued for. ' +
+                'localIds are remembered per user and device, so operations with a localId require one',
+              example: 'a3f1c2d4-pixel-8'
+            },
+            conflictStrategy: {
+              type: 'string',
+              enum: ['manual', 'server-wins', 'client-wins', 'merge'],
+              default: 'manual',
+              description: 'How to resolve operations on tasks that changed since their base version'
+            },
+            atomic: {
+              type: 'boolean',
+              default: false,
+              description: 'Apply all operations or none: any error or unresolved conflict rolls back the batch'
             }
           }
         },
         SyncResult: {
           type: 'object',
           properties: {
+            index: {
+              type: 'integer',
+              description: 'Position of the operation in the request, on validation errors'
+            },
             localId: {
               type: 'string',
               description: 'Local ID (for CREATE operations)'
@@ -181,10 +851,39 @@ const options = {
               type: 'integer',
               description: 'Server ID'
             },
+            nextOccurrenceId: {
+              type: 'integer',
+              description: 'ID of the next occurrence created by completing a recurring task'
+            },
+            version: {
+              type: 'integer',
+              description: 'Version of the task after an applied CREATE or UPDATE'
+            },
             status: {
               type: 'string',
-              enum: ['success', 'error'],
-              description: 'Operation result status'
+              enum: ['success', 'conflict', 'deleted', 'error', 'aborted'],
+              description: 'Operation result status. deleted means an UPDATE reached a task in the trash and was dropped; aborted means an atomic batch was rolled back because of another operation'
+            },
+            replayed: {
+              type: 'boolean',
+              description: 'The CREATE was already synced; serverId is the task created the first time'
+            },
+            resolution: {
+              type: 'string',
+              enum: ['server-wins', 'client-wins', 'merged'],
+              description: 'How a conflict was resolved, when the task changed since its base version'
+            },
+            conflictingFields: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Fields changed both on the server and by the operation'
+            },
+            serverTask: {
+              $ref: '#/components/schemas/Task'
+            },
+            clientData: {
+              type: 'object',
+              description: 'The data sent with a conflicting operation'
             },
             error: {
               type: 'string',
@@ -203,6 +902,61 @@ const options = {
             }
           }
         },
+        SyncChanges: {
+          type: 'object',
+          properties: {
+            changes: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Task'
+              },
+              description: 'Tasks created or changed since the token, in their current state'
+            },
+            deleted: {
+              type: 'array',
+              items: { type: 'integer' },
+              description: 'IDs of tasks deleted, moved to the trash or no longer visible to the user',
+              example: [4, 9]
+            },
+            nextToken: {
+              type: 'string',
+              description: 'Opaque token to send as since on the next pull',
+              example: 'c2VxOjEyOA'
+            },
+            hasMore: {
+              type: 'boolean',
+              description: 'More changes are waiting; pull again with nextToken'
+            }
+          }
+        },
+        ResyncRequiredError: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'string',
+              example: 'Sync token has expired, a full resync is required'
+            },
+            resyncRequired: {
+              type: 'boolean',
+              example: true
+            }
+          }
+        },
+        SyncBatchError: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'string',
+              example: 'Operation 1 failed, no operations were applied'
+            },
+            results: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/SyncResult'
+              }
+            }
+          }
+        },
         DeviceRegistration: {
           type: 'object',
           required: ['token', 'platform'],
@@ -217,11 +971,6 @@ const options = {
               enum: ['ios', 'android'],
               description: 'Device platform',
               example: 'android'
-            },
-            userId: {
-              type: 'integer',
-              description: 'User ID to associate with device',
-              example: 1
             }
           }
         },
@@ -391,6 +1140,19 @@ const options = {
           }
         }
       },
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: {
+            type: 'string',
+            maxLength: 255
+          },
+          description: 'Unique key, such as a UUID, that makes the request safe to retry. A retry with the same key and body within 24 hours returns the first response with an `Idempotent-Replayed: true` header instead of running again; the same key with a different body is rejected with 422.',
+          example: '5f0c3e2a-8d7b-4c1e-9a6f-2b3d4e5f6a7b'
+        }
+      },
       securitySchemes: {
         bearerAuth: {
           type: 'http',
@@ -401,7 +1163,7 @@ const options = {
       }
     }
   },
-  apis: ['./src/index.js', './src/auth.js']
+  apis: ['./src/index.js', './src/auth.js', './src/projects.js', './src/workspaces.js']
 };
 
 export const swaggerSpec = swaggerJsdoc(options);
@@ -0,0 +1,430 @@
+import db from './database.js';
+import { READ_ONLY_ERROR, canWriteTasks, getTaskRole } from './workspaces.js';
+import { softDeleteTask } from './trash.js';
+import { historySnapshot, recordTaskUpdate, getChangedFieldsSince } from './history.js';
+import {
+  loadTask, findTask, findTaskRow, recordTaskCreated, validateTimestamp, validateTaskInput, resolvePlacement,
+  moveSubtasks, validateProject, validateAssignee, autoCompleteParents, setTaskTags, createNextOccurrence
+} from './tasks.js';
+
+// How POST /sync resolves operations on tasks that changed since the client's base copy
+export const CONFLICT_STRATEGIES = ['manual', 'server-wins', 'client-wins', 'merge'];
+
+// Operation types accepted by /sync
+const SYNC_OPERATION_TYPES = ['CREATE', 'UPDATE', 'DELETE'];
+
+/**
+ * Find the task a /sync CREATE made for a client localId
+ * Returns { id, version }, or undefined when the localId has not been synced
+ */
+function findSyncedTask(userId, deviceId, localId) {
+  return db.prepare(`
+    SELECT tasks.id, tasks.version FROM sync_local_ids m
+    JOIN tasks ON tasks.id = m.task_id
+    WHERE m.user_id = ? AND m.device_id = ? AND m.local_id = ?
+  `).get(userId, deviceId, String(localId));
+}
+
+/**
+ * Validate the base copy a sync UPDATE or DELETE was made against
+ * Returns an error message, or null when the base is acceptable
+ */
+function validateSyncBase(op) {
+  if (op.baseVersion !== undefined && (!Number.isInteger(op.baseVersion) || op.baseVersion < 1)) {
+    return 'baseVersion must be a positive integer';
+  }
+  if (op.baseVersion !== undefined && op.baseUpdatedAt !== undefined) {
+    return 'Provide either baseVersion or baseUpdatedAt';
+  }
+  return validateTimestamp(op.baseUpdatedAt, 'baseUpdatedAt');
+}
+
+/**
+ * Check whether the task of a sync UPDATE or DELETE changed on the server after the client's
+ * base copy, and decide what to do about it with the request's conflict strategy.
+ * Returns null when there is no conflict, otherwise { resolution, conflictingFields, apply } where
+ * resolution is 'conflict' or 'server-wins' (operation not applied), or 'client-wins' or
+ * 'merged' (operation applied). conflictingFields lists the fields both sides changed.
+ * A merged UPDATE also has data: the client's changes without the conflicting fields, which keep
+ * their server values.
+ */
+function resolveSyncConflict(existing, op, strategy) {
+  if (op.baseVersion === undefined && op.baseUpdatedAt === undefined) return null;
+
+  const stale = op.baseVersion !== undefined
+    ? existing.version > op.baseVersion
+    : existing.updated_at > op.baseUpdatedAt;
+  if (!stale) return null;
+
+  // An update that changes nothing, such as a retry of one already applied, cannot conflict
+  const current = historySnapshot(loadTask(existing.id));
+  if (op.type === 'UPDATE' &&
+      Object.keys(op.data).every(field => JSON.stringify(current[field]) === JSON.stringify(op.data[field]))) {
+    return null;
+  }
+
+  const serverFields = getChangedFieldsSince(
+    existing.id,
+    op.baseVersion !== undefined ? { version: op.baseVersion } : { updatedAt: op.baseUpdatedAt }
+  );
+
+  // A delete clashes with any server change; an update only with changes to the fields it sets
+  let conflictingFields = [...serverFields];
+  if (op.type === 'UPDATE') {
+    conflictingFields = Object.keys(op.data).filter(field =>
+      serverFields.has(field) && JSON.stringify(current[field]) !== JSON.stringify(op.data[field])
+    );
+  }
+
+  let resolution = 'conflict';
+  if (strategy === 'server-wins' || strategy === 'client-wins') {
+    resolution = strategy;
+  } else if (strategy === 'merge' && (op.type === 'UPDATE' || conflictingFields.length === 0)) {
+    resolution = 'merged';
+  }
+
+  const conflict = { resolution, conflictingFields, apply: resolution === 'client-wins' || resolution === 'merged' };
+  if (resolution === 'merged' && op.type === 'UPDATE') {
+    conflict.data = Object.fromEntries(
+      Object.entries(op.data).filter(([field]) => !conflictingFields.includes(field))
+    );
+  }
+  return conflict;
+}
+
+/**
+ * Build the sync result of an operation that was not applied because of a conflict
+ */
+function syncConflictResult(op, conflict, userId) {
+  return {
+    serverId: op.serverId,
+    status: conflict.resolution === 'conflict' ? 'conflict' : 'success',
+    ...(conflict.resolution !== 'conflict' && { resolution: conflict.resolution }),
+    conflictingFields: conflict.conflictingFields,
+    serverTask: findTask(op.serverId, userId),
+    ...(op.data !== undefined && { clientData: op.data })
+  };
+}
+
+/**
+ * Validate the shape of a /sync operation before any operation of the batch is applied
+ * Checks that depend on stored data, such as whether the task exists, happen when it is applied.
+ * Returns an error message, or null when the operation is acceptable
+ */
+export function validateSyncOperation(op) {
+  if (op === null || typeof op !== 'object' || Array.isArray(op)) {
+    return 'Operation must be an object';
+  }
+  if (!SYNC_OPERATION_TYPES.includes(op.type)) {
+    return `type must be one of: ${SYNC_OPERATION_TYPES.join(', ')}`;
+  }
+  if (op.localId !== undefined && typeof op.localId !== 'string' && typeof op.localId !== 'number') {
+    return 'localId must be a string or number';
+  }
+
+  if (op.type !== 'CREATE' && (!Number.isInteger(op.serverId) || op.serverId < 1)) {
+    return 'serverId must be a task ID';
+  }
+  if (op.type !== 'DELETE' && (op.data === null || typeof op.data !== 'object' || Array.isArray(op.data))) {
+    return 'data must be an object';
+  }
+  if (op.type === 'DELETE') {
+    return validateSyncBase(op);
+  }
+
+  if (op.data.parentLocalId !== undefined &&
+      typeof op.data.parentLocalId !== 'string' && typeof op.data.parentLocalId !== 'number') {
+    return 'parentLocalId must be a string or number';
+  }
+  return validateSyncBase(op) || validateTaskInput(op.data, { create: op.type === 'CREATE' });
+}
+
+/**
+ * Apply one operation of a /sync batch
+ * Failures are thrown and reported as the operation's error result by the caller.
+ * @param {object} ctx - userId, deviceId, conflictStrategy and audit of the request, and notify,
+ *   which collects the IDs of tasks whose assignee is notified once the batch is saved
+ * @returns {object} The operation's result
+ */
+export function applySyncOperation(op, ctx) {
+  const { userId, deviceId, conflictStrategy, audit } = ctx;
+
+  switch (op.type) {
+    case 'CREATE': {
+      // A retried CREATE returns the task made the first time instead of a duplicate
+      const synced = op.localId !== undefined && findSyncedTask(userId, deviceId, op.localId);
+      if (synced) {
+        return {
+          localId: op.localId,
+          serverId: synced.id,
+          status: 'success',
+          version: synced.version,
+          replayed: true
+        };
+      }
+      let parentId = op.data.parentId ?? null;
+      if (op.data.parentLocalId !== undefined) {
+        const parent = findSyncedTask(userId, deviceId, op.data.parentLocalId);
+        if (!parent) {
+          throw new Error('Parent localId has not been synced');
+        }
+        parentId = parent.id;
+      }
+      const invalid = validateProject(op.data.projectId, userId);
+      if (invalid) {
+        throw new Error(invalid);
+      }
+      const placement = resolvePlacement({ ...op.data, parentId }, userId);
+      if (placement.error) {
+        throw new Error(placement.error);
+      }
+      const invalidAssignee = validateAssignee(op.data.assigneeId, placement.workspaceId, userId);
+      if (invalidAssignee) {
+        throw new Error(invalidAssignee);
+      }
+      const now = Date.now();
+      const stmt = db.prepare(`
+        INSERT INTO tasks (
+          title, body, completed, priority, user_id, workspace_id, parent_id, project_id,
+          assignee_id, auto_complete, recurrence, due_at, remind_at, created_at, updated_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      const result = db.transaction(() => {
+        const inserted = stmt.run(
+          op.data.title,
+          op.data.body || '',
+          op.data.completed ? 1 : 0,
+          op.data.priority || 'medium',
+          userId,
+          placement.workspaceId,
+          parentId,
+          op.data.projectId ?? null,
+          op.data.assigneeId ?? null,
+          op.data.autoComplete ? 1 : 0,
+          op.data.recurrence ?? null,
+          op.data.due_at ?? null,
+          op.data.remind_at ?? null,
+          now,
+          now
+        );
+        if (op.data.recurrence) {
+          db.prepare('UPDATE tasks SET series_id = id WHERE id = ?').run(inserted.lastInsertRowid);
+        }
+        setTaskTags(inserted.lastInsertRowid, userId, op.data.tags || []);
+        recordTaskCreated(inserted.lastInsertRowid, audit);
+        autoCompleteParents(inserted.lastInsertRowid, now, audit);
+        if (op.localId !== undefined) {
+          db.prepare(`
+            INSERT INTO sync_local_ids (user_id, device_id, local_id, task_id, created_at) VALUES (?, ?, ?, ?, ?)
+          `).run(userId, deviceId, String(op.localId), inserted.lastInsertRowid, now);
+        }
+        return inserted;
+      })();
+      ctx.notify.push(result.lastInsertRowid);
+      return {
+        localId: op.localId,
+        serverId: result.lastInsertRowid,
+        status: 'success',
+        version: loadTask(result.lastInsertRowid).version
+      };
+    }
+    case 'UPDATE': {
+      const invalid = validateProject(op.data.projectId, userId);
+      if (invalid) {
+        throw new Error(invalid);
+      }
+      const now = Date.now();
+      const stmt = db.prepare(`
+        UPDATE tasks
+        SET title = ?, body = ?, completed = ?, priority = ?, workspace_id = ?, parent_id = ?,
+            project_id = ?, assignee_id = ?, auto_complete = ?, recurrence = ?, series_id = ?,
+            due_at = ?, remind_at = ?, reminder_sent_at = ?, updated_at = ?
+        WHERE id = ?
+      `);
+      const { nextOccurrenceId, reassigned, conflict, deleted } = db.transaction(() => {
+        const existing = findTaskRow(op.serverId, userId);
+        if (!existing) {
+          // Updates that reach a task after it was deleted are dropped rather than failing
+          if (findTaskRow(op.serverId, userId, true)) {
+            return { deleted: true };
+          }
+          throw new Error('Task not found');
+        }
+        if (!canWriteTasks(getTaskRole(existing, userId))) {
+          throw new Error(READ_ONLY_ERROR);
+        }
+        const conflict = resolveSyncConflict(existing, op, conflictStrategy);
+        if (conflict && !conflict.apply) {
+          return { conflict };
+        }
+        // A merge whose every field conflicted keeps the server's task as it is
+        const data = conflict?.data ?? op.data;
+        if (Object.keys(data).length === 0) {
+          return { conflict };
+        }
+        const placement = resolvePlacement(data, userId, existing);
+        if (placement.error) {
+          throw new Error(placement.error);
+        }
+
+        // Only the fields the client sent are changed
+        const pick = (field, column) => (data[field] !== undefined ? data[field] : existing[column]);
+        const recurrence = pick('recurrence', 'recurrence');
+        const remindAt = pick('remind_at', 'remind_at');
+        const assigneeId = pick('assigneeId', 'assignee_id');
+        // The assignee is only checked when it or the workspace changes
+        const assigneeChanged = assigneeId !== existing.assignee_id || placement.workspaceId !== existing.workspace_id;
+        const invalidAssignee = assigneeChanged && validateAssignee(assigneeId, placement.workspaceId, existing.user_id);
+        if (invalidAssignee) {
+          throw new Error(invalidAssignee);
+        }
+        const before = loadTask(existing.id);
+
+        stmt.run(
+          pick('title', 'title'),
+          data.body !== undefined ? (data.body ?? '') : existing.body,
+          data.completed !== undefined ? (data.completed ? 1 : 0) : existing.completed,
+          pick('priority', 'priority'),
+          placement.workspaceId,
+          placement.parentId,
+          pick('projectId', 'project_id'),
+          assigneeId,
+          data.autoComplete !== undefined ? (data.autoComplete ? 1 : 0) : existing.auto_complete,
+          recurrence,
+          existing.series_id ?? (recurrence ? existing.id : null),
+          pick('due_at', 'due_at'),
+          remindAt,
+          remindAt === existing.remind_at ? existing.reminder_sent_at : null,
+          now,
+          existing.id
+        );
+        if (placement.workspaceId !== existing.workspace_id) {
+          moveSubtasks(existing, placement.workspaceId, now, audit);
+        }
+        if (data.tags !== undefined) {
+          setTaskTags(existing.id, userId, data.tags);
+        }
+        recordTaskUpdate(before, loadTask(existing.id), audit);
+        autoCompleteParents(existing.id, now, audit);
+        return {
+          nextOccurrenceId: data.completed && existing.completed === 0
+            ? createNextOccurrence(existing.id, now, audit)
+            : null,
+          reassigned: assigneeId !== existing.assignee_id,
+          conflict
+        };
+      })();
+      if (deleted) {
+        return { serverId: op.serverId, status: 'deleted' };
+      }
+      if (conflict && !conflict.apply) {
+        return syncConflictResult(op, conflict, userId);
+      }
+      if (reassigned) {
+        ctx.notify.push(op.serverId);
+      }
+      return {
+        serverId: op.serverId,
+        status: 'success',
+        version: loadTask(op.serverId).version,
+        ...(conflict && { resolution: conflict.resolution, conflictingFields: conflict.conflictingFields }),
+        ...(nextOccurrenceId && { nextOccurrenceId })
+      };
+    }
+    case 'DELETE': {
+      const task = findTaskRow(op.serverId, userId, null);
+      if (!task) {
+        throw new Error('Task not found');
+      }
+      if (!canWriteTasks(getTaskRole(task, userId))) {
+        throw new Error(READ_ONLY_ERROR);
+      }
+      // Deleting a task that is already in the trash succeeds, so DELETEs can be retried
+      if (task.deleted_at !== null) {
+        return { serverId: op.serverId, status: 'success' };
+      }
+      const conflict = resolveSyncConflict(task, op, conflictStrategy);
+      if (conflict && !conflict.apply) {
+        return syncConflictResult(op, conflict, userId);
+      }
+      db.transaction(() => softDeleteTask(task.id, audit))();
+      return {
+        serverId: op.serverId,
+        status: 'success',
+        ...(conflict && { resolution: conflict.resolution, conflictingFields: conflict.conflictingFields })
+      };
+    }
+  }
+}
+
+/**
+ * Build the sync result of an operation that failed
+ */
+export function syncErrorResult(op, message) {
+  return {
+    localId: op.localId,
+    serverId: op.serverId,
+    status: 'error',
+    error: message
+  };
+}
+
+/**
+ * Validate every operation of a /sync batch before any of them is applied
+ * @returns {object[]} An error result, with its index, for each malformed operation
+ */
+export function validateSyncOperations(operations) {
+  return operations
+    .map((op, index) => ({ index, op, error: validateSyncOperation(op) }))
+    .filter(({ error }) => error !== null)
+    .map(({ index, op, error }) => ({ index, ...syncErrorResult(op ?? {}, error) }));
+}
+
+/**
+ * Apply the operations of a /sync batch, each on its own or, with atomic, all or none
+ * In an atomic batch any error or unresolved conflict rolls back every operation; the failing
+ * operation keeps its result and the others are reported as aborted.
+ * @param {object} ctx - As for applySyncOperation
+ * @returns {{ results: object[], error?: string }} error is set when an atomic batch was rolled back
+ */
+export function applySyncBatch(operations, ctx, atomic) {
+  const apply = (op) => {
+    try {
+      return applySyncOperation(op, ctx);
+    } catch (opError) {
+      return syncErrorResult(op, opError.message);
+    }
+  };
+
+  if (!atomic) {
+    return { results: operations.map(apply) };
+  }
+
+  let failed = null;
+  try {
+    return {
+      results: db.transaction(() => operations.map((op, index) => {
+        const result = apply(op);
+        if (result.status === 'error' || result.status === 'conflict') {
+          failed = { index, result };
+          throw new Error('Atomic sync aborted');
+        }
+        return result;
+      }))()
+    };
+  } catch (error) {
+    if (!failed) throw error;
+  }
+
+  // A conflict's server copy is read again so it does not show the rolled back operations
+  const failedResult = failed.result.serverTask
+    ? { ...failed.result, serverTask: findTask(failed.result.serverId, ctx.userId) }
+    : failed.result;
+  return {
+    error: `Operation ${failed.index} failed, no operations were applied`,
+    results: operations.map((op, index) => (index === failed.index
+      ? failedResult
+      : { localId: op.localId, serverId: op.serverId, status: 'aborted' }))
+  };
+}
@@ -0,0 +1,727 @@
+import db from './database.js';
+import { sendPushNotification } from './notifications.js';
+import { findProject } from './projects.js';
+import {
+  READ_ONLY_ERROR, canWriteTasks, getTaskRole, getWorkspaceRole, taskAccessCondition, taskAudience
+} from './workspaces.js';
+import { parseRecurrence, nextOccurrence } from './recurrence.js';
+import { historySnapshot, recordTaskEvent, recordTaskUpdate, onTaskEvent } from './history.js';
+import { softDeleteTask } from './trash.js';
+import { publishEvent } from './events.js';
+
+export const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Event streamed for each kind of task history event; other history events are task.updated
+const STREAM_EVENT_TYPES = {
+  create: 'task.created',
+  restore: 'task.created',
+  complete: 'task.completed',
+  delete: 'task.deleted'
+};
+
+// Values that fields without a null state go back to when a merge patch removes them
+const PATCH_DEFAULTS = { body: '', completed: false, priority: 'medium', tags: [], autoComplete: false };
+
+// Task events recorded but not yet streamed, by history event ID
+const pendingTaskEvents = new Map();
+
+// Columns returned for a task in API responses
+export const TASK_COLUMNS = `
+  tasks.id, tasks.title, tasks.body, tasks.completed, tasks.priority, tasks.user_id as userId,
+  tasks.workspace_id as workspaceId, tasks.parent_id as parentId, tasks.project_id as projectId,
+  tasks.assignee_id as assigneeId, tasks.auto_complete as autoComplete,
+  tasks.recurrence, tasks.series_id as seriesId, tasks.occurrence,
+  tasks.due_at, tasks.remind_at, tasks.created_at, tasks.updated_at, tasks.deleted_at, tasks.version,
+  (
+    SELECT COUNT(*) FROM tasks sub
+    WHERE sub.parent_id = tasks.id AND sub.deleted_at IS NULL
+  ) as subtasksTotal,
+  (
+    SELECT COUNT(*) FROM tasks sub
+    WHERE sub.parent_id = tasks.id AND sub.deleted_at IS NULL AND sub.completed = 1
+  ) as subtasksCompleted,
+  (
+    SELECT COUNT(*) FROM task_comments c WHERE c.task_id = tasks.id
+  ) as commentsCount,
+  (
+    SELECT json_group_array(name) FROM (
+      SELECT tg.name FROM task_tags tt
+      JOIN tags tg ON tg.id = tt.tag_id
+      WHERE tt.task_id = tasks.id
+      ORDER BY tg.name
+    )
+  ) as tags
+`;
+
+/**
+ * Convert a task row into its API representation
+ */
+export function formatTask(task) {
+  return {
+    ...task,
+    completed: task.completed === 1,
+    autoComplete: task.autoComplete === 1,
+    tags: JSON.parse(task.tags)
+  };
+}
+
+/**
+ * Load a task by ID regardless of owner or trash state
+ */
+export function loadTask(id) {
+  const task = db.prepare(`SELECT ${TASK_COLUMNS} FROM tasks WHERE id = ?`).get(id);
+  return task ? formatTask(task) : undefined;
+}
+
+/**
+ * Record the creation of a task in its history
+ */
+export function recordTaskCreated(taskId, audit) {
+  recordTaskEvent(taskId, 'create', audit, null, historySnapshot(loadTask(taskId)));
+}
+
+/**
+ * Find a task the given user can read: one of their personal tasks or a task of one of
+ * their workspaces (tasks in the trash are not found)
+ */
+export function findTask(id, userId) {
+  const access = taskAccessCondition(userId);
+  const stmt = db.prepare(`
+    SELECT ${TASK_COLUMNS} FROM tasks WHERE tasks.id = ? AND tasks.deleted_at IS NULL AND ${access.sql}
+  `);
+  const task = stmt.get(id, ...access.params);
+  return task ? formatTask(task) : undefined;
+}
+
+/**
+ * Load the database row of a task by ID regardless of owner or trash state
+ */
+export function loadTaskRow(id) {
+  return db.prepare('SELECT * FROM tasks WHERE id = ?').get(id);
+}
+
+/**
+ * Find the database row of a task the given user can read
+ * @param {boolean|null} deleted - true to look in the trash, false for live tasks, null for both
+ */
+export function findTaskRow(id, userId, deleted = false) {
+  const access = taskAccessCondition(userId);
+  const trash = deleted === null ? '' : `AND tasks.deleted_at IS ${deleted ? 'NOT NULL' : 'NULL'}`;
+  return db.prepare(`SELECT * FROM tasks WHERE tasks.id = ? ${trash} AND ${access.sql}`)
+    .get(id, ...access.params);
+}
+
+/**
+ * Validate an optional timestamp field (milliseconds since epoch, or null to clear)
+ * Returns an error message, or null when the value is acceptable
+ */
+export function validateTimestamp(value, field) {
+  if (value === undefined || value === null) return null;
+  if (!Number.isInteger(value) || value < 0) {
+    return `${field} must be a timestamp in milliseconds`;
+  }
+  return null;
+}
+
+/**
+ * Validate a task create/update payload
+ * Shared by the REST routes, WebSocket mutations and /sync, so they accept the same input.
+ * @param {boolean} [options.create] - Whether the payload creates a task, which requires a title
+ * Returns an error message, or null when the payload is acceptable
+ */
+export function validateTaskInput(data, { create = false } = {}) {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return 'The task must be a JSON object';
+  }
+
+  if (create && (data.title === undefined || data.title === null || data.title === '')) {
+    return 'Title is required';
+  }
+
+  if (data.title !== undefined && (typeof data.title !== 'string' || data.title.trim() === '')) {
+    return 'title must be a non-empty string';
+  }
+
+  if (data.body !== undefined && data.body !== null && typeof data.body !== 'string') {
+    return 'body must be a string or null';
+  }
+
+  if (data.completed !== undefined && data.completed !== null && typeof data.completed !== 'boolean') {
+    return 'completed must be a boolean or null';
+  }
+
+  const invalidTimestamp = validateTimestamp(data.due_at, 'due_at') ||
+    validateTimestamp(data.remind_at, 'remind_at');
+  if (invalidTimestamp) return invalidTimestamp;
+
+  if (data.priority !== undefined && !PRIORITIES.includes(data.priority)) {
+    return `priority must be one of: ${PRIORITIES.join(', ')}`;
+  }
+
+  if (data.tags !== undefined) {
+    const valid = Array.isArray(data.tags) &&
+      data.tags.every(tag => typeof tag === 'string' && tag.trim() !== '');
+    if (!valid) return 'tags must be an array of non-empty strings';
+  }
+
+  if (data.parentId !== undefined && data.parentId !== null && !Number.isInteger(data.parentId)) {
+    return 'parentId must be a task ID';
+  }
+
+  if (data.workspaceId !== undefined && data.workspaceId !== null && !Number.isInteger(data.workspaceId)) {
+    return 'workspaceId must be a workspace ID';
+  }
+
+  if (data.projectId !== undefined && data.projectId !== null && !Number.isInteger(data.projectId)) {
+    return 'projectId must be a project ID';
+  }
+
+  if (data.assigneeId !== undefined && data.assigneeId !== null && !Number.isInteger(data.assigneeId)) {
+    return 'assigneeId must be a user ID';
+  }
+
+  if (data.autoComplete !== undefined && typeof data.autoComplete !== 'boolean') {
+    return 'autoComplete must be a boolean';
+  }
+
+  if (data.recurrence !== undefined && data.recurrence !== null) {
+    const { error } = parseRecurrence(data.recurrence);
+    if (error) return error;
+  }
+
+  return null;
+}
+
+/**
+ * Check that a task can be placed under the given parent
+ * The parent must be visible to the user, be in the same workspace as the task and must not be
+ * the task itself or one of its subtasks.
+ * Returns an error message, or null when the parent is acceptable
+ */
+function validateParent(parentId, userId, taskId = null, workspaceId = null) {
+  if (parentId === null || parentId === undefined) return null;
+
+  let ancestor = findTaskRow(parentId, userId);
+  if (!ancestor) return 'Parent task not found';
+  if (ancestor.workspace_id !== workspaceId) {
+    return 'A subtask must be in the same workspace as its parent';
+  }
+
+  while (ancestor) {
+    if (ancestor.id === taskId) return 'A task cannot be moved under itself or its subtasks';
+    ancestor = ancestor.parent_id ? findTaskRow(ancestor.parent_id, userId) : undefined;
+  }
+
+  return null;
+}
+
+/**
+ * Work out the workspace and parent a created or updated task ends up with, and check that
+ * the user may put it there. New subtasks join the workspace of their parent unless
+ * `workspaceId` is given. Only the creator of a task can move it to their personal list.
+ * Returns { workspaceId, parentId }, or { status, error } when the placement is not allowed
+ */
+export function resolvePlacement(data, userId, existing = null) {
+  const parentId = data.parentId !== undefined ? data.parentId : (existing ? existing.parent_id : null);
+  let workspaceId = data.workspaceId !== undefined ? data.workspaceId : existing?.workspace_id;
+
+  if (workspaceId === undefined) {
+    const parent = parentId !== null ? findTaskRow(parentId, userId) : undefined;
+    workspaceId = parent ? parent.workspace_id : null;
+  }
+
+  const invalidParent = validateParent(parentId, userId, existing ? existing.id : null, workspaceId);
+  if (invalidParent) return { status: 400, error: invalidParent };
+
+  if (existing && workspaceId === existing.workspace_id) {
+    return { workspaceId, parentId };
+  }
+
+  if (workspaceId === null) {
+    if (existing && existing.user_id !== userId) {
+      return { status: 403, error: 'Only the creator can move a task to their personal list' };
+    }
+  } else {
+    const role = getWorkspaceRole(workspaceId, userId);
+    if (!role) return { status: 400, error: 'Workspace not found' };
+    if (!canWriteTasks(role)) return { status: 403, error: READ_ONLY_ERROR };
+  }
+
+  return { workspaceId, parentId };
+}
+
+/**
+ * Move the subtasks of a task into the workspace the task was moved to
+ * Subtasks moved to a personal list are handed to the creator of the task.
+ * @param {object} audit - Actor and source recorded in each subtask's history
+ */
+export function moveSubtasks(task, workspaceId, now, audit) {
+  const moved = db.prepare(`
+    WITH RECURSIVE subtree(id) AS (
+      SELECT id FROM tasks WHERE parent_id = ?
+      UNION ALL
+      SELECT tasks.id FROM tasks JOIN subtree ON tasks.parent_id = subtree.id
+    )
+    UPDATE tasks SET workspace_id = ?, user_id = COALESCE(?, user_id), updated_at = ?
+    WHERE id IN (SELECT id FROM subtree)
+    RETURNING id
+  `).all(task.id, workspaceId, workspaceId === null ? task.user_id : null, now);
+
+  for (const subtask of moved) {
+    recordTaskEvent(subtask.id, 'update', audit, { workspaceId: task.workspace_id }, { workspaceId });
+  }
+}
+
+/**
+ * Check that a task can be placed in the given project
+ * Returns an error message, or null when the project belongs to the user
+ */
+export function validateProject(projectId, userId) {
+  if (projectId === null || projectId === undefined) return null;
+  return findProject(projectId, userId) ? null : 'Project not found';
+}
+
+/**
+ * Check that a task can be assigned to the given user
+ * Workspace tasks can be assigned to the members of the workspace who can change tasks, so not to
+ * viewers; personal tasks only to their creator.
+ * Returns an error message, or null when the assignee is acceptable
+ */
+export function validateAssignee(assigneeId, workspaceId, creatorId) {
+  if (assigneeId === null || assigneeId === undefined) return null;
+  if (workspaceId === null) {
+    return assigneeId === creatorId ? null : 'Personal tasks can only be assigned to their creator';
+  }
+  const role = getWorkspaceRole(workspaceId, assigneeId);
+  if (!role) return 'Assignee must be a member of the workspace';
+  return canWriteTasks(role) ? null : 'Assignee cannot be a viewer of the workspace';
+}
+
+/**
+ * Send a push notification to the creator and the assignee of a task, once each
+ */
+export async function notifyTaskUsers(task, notification) {
+  const recipients = new Set([task.userId, task.assigneeId].filter(id => id !== null));
+  for (const recipient of recipients) {
+    await sendPushNotification(recipient, notification);
+  }
+}
+
+/**
+ * Notify the assignee of a task that it was assigned to them, unless they did it themselves
+ */
+export async function notifyAssignee(task, actorId) {
+  if (task.assigneeId === null || task.assigneeId === actorId) return;
+  await sendPushNotification(task.assigneeId, {
+    title: 'Task Assigned',
+    body: `You have been assigned to task "${task.title}"`,
+    data: { type: 'assignment', taskId: String(task.id) }
+  });
+}
+
+/**
+ * Complete the ancestors of a task that opted into auto-completion once all of
+ * their subtasks are done. Returns the rows of the parents that were completed.
+ */
+export function autoCompleteParents(taskId, now, audit) {
+  const pendingChildren = db.prepare(
+    'SELECT COUNT(*) as pending FROM tasks WHERE parent_id = ? AND completed = 0 AND deleted_at IS NULL'
+  );
+  const completeStmt = db.prepare('UPDATE tasks SET completed = 1, updated_at = ? WHERE id = ?');
+
+  const completedParents = [];
+  let task = loadTaskRow(taskId);
+
+  while (task && task.parent_id) {
+    const parent = loadTaskRow(task.parent_id);
+    if (!parent || parent.deleted_at || parent.auto_complete !== 1 || parent.completed === 1) break;
+    if (pendingChildren.get(parent.id).pending > 0) break;
+
+    completeStmt.run(now, parent.id);
+    recordTaskEvent(parent.id, 'complete', audit, { completed: false }, { completed: true });
+    completedParents.push(parent);
+    task = parent;
+  }
+
+  return completedParents;
+}
+
+/**
+ * Replace the tags of a task, creating any tag names the user has not used before
+ */
+export function setTaskTags(taskId, userId, tags) {
+  db.prepare('DELETE FROM task_tags WHERE task_id = ?').run(taskId);
+
+  const insertTag = db.prepare('INSERT OR IGNORE INTO tags (user_id, name, created_at) VALUES (?, ?, ?)');
+  const findTag = db.prepare('SELECT id FROM tags WHERE user_id = ? AND name = ?');
+  const linkTag = db.prepare('INSERT OR IGNORE INTO task_tags (task_id, tag_id) VALUES (?, ?)');
+
+  for (const tag of tags) {
+    const name = tag.trim();
+    insertTag.run(userId, name, Date.now());
+    linkTag.run(taskId, findTag.get(userId, name).id);
+  }
+}
+
+/**
+ * Create the next occurrence of a recurring task once it has been completed.
+ * The new task copies the completed one, is due at the next date of the rule and
+ * keeps the same reminder offset. Returns the new task ID, or null when the series
+ * has ended or its next occurrence already exists.
+ */
+export function createNextOccurrence(taskId, now, audit) {
+  const task = loadTaskRow(taskId);
+  if (!task || !task.recurrence) return null;
+
+  const { rule } = parseRecurrence(task.recurrence);
+  if (!rule) return null;
+
+  const seriesId = task.series_id ?? task.id;
+  const alreadyCreated = db.prepare('SELECT id FROM tasks WHERE series_id = ? AND occurrence = ?')
+    .get(seriesId, task.occurrence + 1);
+  if (alreadyCreated) return null;
+
+  const dueAt = nextOccurrence(rule, task.due_at ?? task.created_at, task.occurrence);
+  if (dueAt === null) return null;
+
+  const remindAt = task.remind_at !== null && task.due_at !== null
+    ? dueAt - (task.due_at - task.remind_at)
+    : null;
+
+  const result = db.prepare(`
+    INSERT INTO tasks (
+      title, body, priority, user_id, workspace_id, parent_id, project_id, assignee_id, auto_complete,
+      recurrence, series_id, occurrence, due_at, remind_at, created_at, updated_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    task.title, task.body, task.priority, task.user_id, task.workspace_id, task.parent_id, task.project_id,
+    task.assignee_id, task.auto_complete, task.recurrence, seriesId, task.occurrence + 1, dueAt, remindAt, now, now
+  );
+
+  db.prepare('UPDATE tasks SET series_id = ? WHERE id = ? AND series_id IS NULL').run(seriesId, task.id);
+  db.prepare('INSERT INTO task_tags (task_id, tag_id) SELECT ?, tag_id FROM task_tags WHERE task_id = ?')
+    .run(result.lastInsertRowid, task.id);
+  recordTaskCreated(result.lastInsertRowid, audit);
+
+  return result.lastInsertRowid;
+}
+
+/**
+ * Entity tag of a task, derived from its version
+ */
+export function taskETag(task) {
+  return `"${task.version}"`;
+}
+
+/**
+ * Check an If-Match precondition against the current version of a task
+ * Writes without If-Match always pass.
+ * @param {string|undefined} header - The If-Match header of the write
+ */
+export function ifMatchPasses(header, task) {
+  if (header === undefined || header.trim() === '*') return true;
+  return header.split(',').map(tag => tag.trim()).includes(taskETag(task));
+}
+
+/**
+ * Result of a write made against an outdated copy of a task, with the current copy
+ */
+function staleTaskResult(taskId, userId) {
+  return { status: 412, error: 'The task has been changed since it was read', task: findTask(taskId, userId) };
+}
+
+/**
+ * Turn a JSON Merge Patch (RFC 7396) of a task into the changes to apply
+ * Missing members leave a field unchanged. null removes a value: nullable fields become null
+ * and the others go back to their default. title cannot be removed.
+ * Returns { changes } or { error }
+ */
+export function parseTaskPatch(patch) {
+  if (typeof patch !== 'object' || patch === null || Array.isArray(patch)) {
+    return { error: 'The merge patch must be a JSON object' };
+  }
+
+  // Checked before nulls become defaults, so a null title is rejected instead of ignored
+  const invalid = validateTaskInput(patch);
+  if (invalid) {
+    return { error: invalid };
+  }
+
+  const changes = { ...patch };
+  for (const [field, value] of Object.entries(PATCH_DEFAULTS)) {
+    if (changes[field] === null) changes[field] = value;
+  }
+
+  return { changes };
+}
+
+/**
+ * Create a task for POST /todos and WebSocket mutations
+ * @param {object} audit - Actor and source recorded in the task history
+ * @returns {Promise<{ status: number, task?: object, error?: string }>}
+ */
+export async function createTask(data, userId, audit) {
+  const invalid = validateTaskInput(data, { create: true }) || validateProject(data.projectId ?? null, userId);
+  if (invalid) {
+    return { status: 400, error: invalid };
+  }
+
+  const {
+    title,
+    body = '',
+    priority = 'medium',
+    tags = [],
+    parentId = null,
+    projectId = null,
+    assigneeId = null,
+    autoComplete = false,
+    recurrence = null,
+    due_at = null,
+    remind_at = null
+  } = data;
+
+  const placement = resolvePlacement({ ...data, parentId }, userId);
+  if (placement.error) {
+    return { status: placement.status, error: placement.error };
+  }
+
+  const invalidAssignee = validateAssignee(assigneeId, placement.workspaceId, userId);
+  if (invalidAssignee) {
+    return { status: 400, error: invalidAssignee };
+  }
+
+  const now = Date.now();
+  const stmt = db.prepare(`
+    INSERT INTO tasks (
+      title, body, priority, user_id, workspace_id, parent_id, project_id, assignee_id, auto_complete,
+      recurrence, due_at, remind_at, created_at, updated_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const taskId = db.transaction(() => {
+    const result = stmt.run(
+      title, body ?? '', priority, userId, placement.workspaceId, parentId, projectId, assigneeId,
+      autoComplete ? 1 : 0, recurrence, due_at, remind_at, now, now
+    );
+    if (recurrence) {
+      db.prepare('UPDATE tasks SET series_id = id WHERE id = ?').run(result.lastInsertRowid);
+    }
+    setTaskTags(result.lastInsertRowid, userId, tags);
+    recordTaskCreated(result.lastInsertRowid, audit);
+    return result.lastInsertRowid;
+  })();
+
+  const newTask = findTask(taskId, userId);
+
+  // Send push notification for new task
+  await sendPushNotification(userId, {
+    title: 'New Task Created',
+    body: `Task "${title}" has been created`
+  });
+  await notifyAssignee(newTask, userId);
+
+  return { status: 201, task: newTask };
+}
+
+/**
+ * Apply changes to a task for PUT and PATCH /todos/:id and WebSocket mutations
+ * Fields missing from the changes are left as they are.
+ * @param {object} options.audit - Actor and source recorded in the task history
+ * @param {string} [options.ifMatch] - If-Match precondition of the write
+ * @returns {Promise<{ status: number, task?: object, error?: string }>}
+ */
+export async function updateTask(id, changes, userId, { audit, ifMatch }) {
+  // Check if task exists and the caller may change it
+  const existing = findTaskRow(id, userId);
+
+  if (!existing) {
+    return { status: 404, error: 'Task not found' };
+  }
+
+  if (!canWriteTasks(getTaskRole(existing, userId))) {
+    return { status: 403, error: READ_ONLY_ERROR };
+  }
+
+  if (!ifMatchPasses(ifMatch, existing)) {
+    return staleTaskResult(existing.id, userId);
+  }
+
+  const invalid = validateTaskInput(changes) || validateProject(changes.projectId, userId);
+  if (invalid) {
+    return { status: 400, error: invalid };
+  }
+
+  const {
+    title, body, completed, priority, tags, projectId, assigneeId, autoComplete, recurrence, due_at, remind_at
+  } = changes;
+
+  const placement = resolvePlacement(changes, userId, existing);
+  if (placement.error) {
+    return { status: placement.status, error: placement.error };
+  }
+
+  // The assignee is only checked when it or the workspace changes
+  const nextAssigneeId = assigneeId !== undefined ? assigneeId : existing.assignee_id;
+  const assigneeChanged = nextAssigneeId !== existing.assignee_id || placement.workspaceId !== existing.workspace_id;
+  const invalidAssignee = assigneeChanged && validateAssignee(nextAssigneeId, placement.workspaceId, existing.user_id);
+  if (invalidAssignee) {
+    return { status: 400, error: invalidAssignee };
+  }
+
+  // A changed reminder time re-arms the reminder
+  const nextRemindAt = remind_at !== undefined ? remind_at : existing.remind_at;
+  const reminderSentAt = nextRemindAt === existing.remind_at ? existing.reminder_sent_at : null;
+
+  const now = Date.now();
+  const stmt = db.prepare(`
+    UPDATE tasks
+    SET title = ?, body = ?, completed = ?, priority = ?, workspace_id = ?, parent_id = ?,
+        project_id = ?, assignee_id = ?, auto_complete = ?, recurrence = ?, series_id = ?,
+        due_at = ?, remind_at = ?, reminder_sent_at = ?, updated_at = ?
+    WHERE id = ?
+  `);
+
+  const nextRecurrence = recurrence !== undefined ? recurrence : existing.recurrence;
+  const before = loadTask(existing.id);
+
+  const { completedParents, nextOccurrenceId } = db.transaction(() => {
+    stmt.run(
+      title ?? existing.title,
+      body ?? existing.body,
+      completed !== undefined ? (completed ? 1 : 0) : existing.completed,
+      priority ?? existing.priority,
+      placement.workspaceId,
+      placement.parentId,
+      projectId !== undefined ? projectId : existing.project_id,
+      nextAssigneeId,
+      autoComplete !== undefined ? (autoComplete ? 1 : 0) : existing.auto_complete,
+      nextRecurrence,
+      existing.series_id ?? (nextRecurrence ? existing.id : null),
+      due_at !== undefined ? due_at : existing.due_at,
+      nextRemindAt,
+      reminderSentAt,
+      now,
+      existing.id
+    );
+    if (placement.workspaceId !== existing.workspace_id) {
+      moveSubtasks(existing, placement.workspaceId, now, audit);
+    }
+    if (tags !== undefined) {
+      setTaskTags(existing.id, userId, tags);
+    }
+    recordTaskUpdate(before, loadTask(existing.id), audit);
+    return {
+      completedParents: autoCompleteParents(existing.id, now, audit),
+      nextOccurrenceId: completed === true && existing.completed === 0
+        ? createNextOccurrence(existing.id, now, audit)
+        : null
+    };
+  })();
+
+  const updatedTask = findTask(existing.id, userId);
+  if (nextOccurrenceId) {
+    updatedTask.nextOccurrenceId = nextOccurrenceId;
+  }
+
+  if (nextAssigneeId !== existing.assignee_id) {
+    await notifyAssignee(updatedTask, userId);
+  }
+
+  // Send push notification to the creator and the assignee if task was completed
+  if (completed === true && existing.completed === 0) {
+    await notifyTaskUsers(updatedTask, {
+      title: 'Task Completed',
+      body: `Task "${updatedTask.title}" has been marked as complete`
+    });
+  }
+
+  for (const parent of completedParents) {
+    await notifyTaskUsers(loadTask(parent.id), {
+      title: 'Task Completed',
+      body: `Task "${parent.title}" has been completed with all of its subtasks`
+    });
+  }
+
+  return { status: 200, task: updatedTask };
+}
+
+/**
+ * Move a task and its subtasks to the trash for DELETE /todos/:id and WebSocket mutations
+ * @param {object} options.audit - Actor and source recorded in the task history
+ * @param {string} [options.ifMatch] - If-Match precondition of the write
+ * @returns {{ status: number, task?: object, error?: string }}
+ */
+export function deleteTask(id, userId, { audit, ifMatch }) {
+  const task = findTaskRow(id, userId);
+
+  if (!task) {
+    return { status: 404, error: 'Task not found' };
+  }
+
+  if (!canWriteTasks(getTaskRole(task, userId))) {
+    return { status: 403, error: READ_ONLY_ERROR };
+  }
+
+  if (!ifMatchPasses(ifMatch, task)) {
+    return staleTaskResult(task.id, userId);
+  }
+
+  db.transaction(() => softDeleteTask(task.id, audit))();
+
+  return { status: 204 };
+}
+
+/**
+ * Stream the queued task events whose history rows were committed
+ * Runs once the code that recorded them has returned. An event whose transaction was rolled back
+ * has no row any more, so changes that did not happen are never streamed.
+ */
+function publishTaskEvents() {
+  const queued = [...pendingTaskEvents.values()].sort((a, b) => a.id - b.id);
+  pendingTaskEvents.clear();
+
+  try {
+    const ids = queued.map(queuedEvent => queuedEvent.id);
+    const committed = new Set(
+      db.prepare(`SELECT id FROM task_events WHERE id IN (${ids.map(() => '?').join(', ')})`)
+        .all(...ids)
+        .map(row => row.id)
+    );
+
+    for (const { id, type, task, origin, audience, formerAudience } of queued) {
+      if (!committed.has(id)) continue;
+      publishEvent(audience, type, type === 'task.deleted' ? { taskId: task.id, ...origin } : { task, ...origin });
+      publishEvent(formerAudience, 'task.deleted', { taskId: task.id, ...origin });
+    }
+  } catch (error) {
+    console.error('Error publishing task events:', error);
+  }
+}
+
+// Every recorded change is streamed, whether it came from a request, a socket or a scheduler.
+// The task and its audience are captured as of the event, since later changes may follow before
+// the events are published.
+onTaskEvent(({ id, taskId, event, audit, before }) => {
+  const task = loadTask(taskId);
+  if (!task) return;
+
+  // Users who could only see the task in the workspace it left see it deleted
+  const audience = taskAudience(task.workspaceId, task.userId);
+  const formerAudience = before?.workspaceId !== undefined && before.workspaceId !== task.workspaceId
+    ? taskAudience(before.workspaceId, task.userId).filter(userId => !audience.includes(userId))
+    : [];
+
+  if (pendingTaskEvents.size === 0) {
+    setImmediate(publishTaskEvents);
+  }
+  pendingTaskEvents.set(id, {
+    id,
+    type: STREAM_EVENT_TYPES[event] ?? 'task.updated',
+    task,
+    origin: { actorId: audit.actorId, source: audit.source },
+    audience,
+    formerAudience
+  });
+});
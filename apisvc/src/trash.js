@@ -0,0 +1,94 @@
+import db from './database.js';
+import { recordTaskEvent } from './history.js';
+import { taskAudience } from './workspaces.js';
+import { publishEvent } from './events.js';
+import { attachmentFiles, removeAttachmentFiles } from './attachments.js';
+
+// How long deleted tasks stay in the trash before they are purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// How often the trash is purged
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Move a task and its subtasks to the trash
+ * All rows share the same deleted_at so they can be restored together.
+ * @param {object} audit - Actor and source recorded in the task history
+ * @returns {number} Number of tasks moved to the trash
+ */
+export function softDeleteTask(id, audit, now = Date.now()) {
+  const deleted = db.prepare(`
+    WITH RECURSIVE subtree(id) AS (
+      SELECT id FROM tasks WHERE id = ? AND deleted_at IS NULL
+      UNION ALL
+      SELECT tasks.id FROM tasks JOIN subtree ON tasks.parent_id = subtree.id
+      WHERE tasks.deleted_at IS NULL
+    )
+    UPDATE tasks SET deleted_at = ?, updated_at = ?
+    WHERE id IN (SELECT id FROM subtree)
+    RETURNING id
+  `).all(id, now, now);
+
+  for (const task of deleted) {
+    recordTaskEvent(task.id, 'delete', audit, { deleted_at: null }, { deleted_at: now });
+  }
+
+  return deleted.length;
+}
+
+/**
+ * Restore a task from the trash together with the subtasks deleted along with it
+ * @param {object} audit - Actor and source recorded in the task history
+ * @returns {number} Number of tasks restored
+ */
+export function restoreTask(task, audit, now = Date.now()) {
+  const restored = db.prepare(`
+    WITH RECURSIVE subtree(id) AS (
+      SELECT ?
+      UNION ALL
+      SELECT tasks.id FROM tasks JOIN subtree ON tasks.parent_id = subtree.id
+    )
+    UPDATE tasks SET deleted_at = NULL, updated_at = ?
+    WHERE id IN (SELECT id FROM subtree) AND deleted_at = ?
+    RETURNING id
+  `).all(task.id, now, task.deleted_at);
+
+  for (const { id } of restored) {
+    recordTaskEvent(id, 'restore', audit, { deleted_at: task.deleted_at }, { deleted_at: null });
+  }
+
+  return restored.length;
+}
+
+/**
+ * Permanently delete tasks that have been in the trash longer than the retention period
+ * The users who could see each task are told with a task.purged event.
+ */
+export function purgeDeletedTasks() {
+  try {
+    const cutoff = Date.now() - TRASH_RETENTION_MS;
+    const files = attachmentFiles('SELECT id FROM tasks WHERE deleted_at IS NOT NULL AND deleted_at < ?', [cutoff]);
+    const purged = db.prepare(`
+      DELETE FROM tasks WHERE deleted_at IS NOT NULL AND deleted_at < ?
+      RETURNING id, workspace_id, user_id
+    `).all(cutoff);
+    removeAttachmentFiles(files);
+    for (const task of purged) {
+      publishEvent(taskAudience(task.workspace_id, task.user_id), 'task.purged', { taskId: task.id });
+    }
+    if (purged.length > 0) {
+      console.log(`Purged ${purged.length} task(s) from the trash`);
+    }
+  } catch (error) {
+    console.error('Error purging deleted tasks:', error);
+  }
+}
+
+/**
+ * Start the periodic trash purge
+ */
+export function startTrashPurgeScheduler() {
+  purgeDeletedTasks();
+  return setInterval(purgeDeletedTasks, PURGE_INTERVAL_MS);
+}
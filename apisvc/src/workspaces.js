@@ -0,0 +1,1246 @@
+import express from 'express';
+import db from './database.js';
+import { authenticateToken } from './auth.js';
+import { sendPushNotification } from './notifications.js';
+import { recordTaskEvent } from './history.js';
+import { attachmentFiles, removeAttachmentFiles } from './attachments.js';
+
+const router = express.Router();
+
+// Roles that can create, change and delete workspace tasks
+const TASK_WRITE_ROLES = ['owner', 'admin', 'member'];
+
+// Roles that can rename the workspace and manage its members
+const MANAGER_ROLES = ['owner', 'admin'];
+
+// Error returned when a viewer tries to change a workspace task
+export const READ_ONLY_ERROR = 'Your workspace role does not allow changing tasks';
+
+/**
+ * Get the role of a user in a workspace, or null when they are not a member
+ */
+export function getWorkspaceRole(workspaceId, userId) {
+  const member = db.prepare('SELECT role FROM workspace_members WHERE workspace_id = ? AND user_id = ?')
+    .get(workspaceId, userId);
+  return member ? member.role : null;
+}
+
+/**
+ * Whether a workspace role can create, change and delete tasks
+ */
+export function canWriteTasks(role) {
+  return TASK_WRITE_ROLES.includes(role);
+}
+
+/**
+ * Get the role of a user on a task row: 'owner' for their personal tasks, their workspace
+ * role for workspace tasks, or null when the task is not visible to them
+ */
+export function getTaskRole(task, userId) {
+  if (task.workspace_id === null) {
+    return task.user_id === userId ? 'owner' : null;
+  }
+  return getWorkspaceRole(task.workspace_id, userId);
+}
+
+/**
+ * IDs of the users who can see the tasks of a workspace, or of a personal task's creator
+ */
+export function taskAudience(workspaceId, creatorId) {
+  if (workspaceId === null) return [creatorId];
+  return db.prepare('SELECT user_id FROM workspace_members WHERE workspace_id = ?')
+    .all(workspaceId)
+    .map(member => member.user_id);
+}
+
+/**
+ * SQL condition matching the tasks a user can read: their personal tasks and the tasks
+ * of every workspace they belong to. Expects the tasks table to be un-aliased.
+ * @returns {{ sql: string, params: number[] }}
+ */
+export function taskAccessCondition(userId) {
+  return {
+    sql: `(
+      (tasks.workspace_id IS NULL AND tasks.user_id = ?)
+      OR tasks.workspace_id IN (SELECT workspace_id FROM workspace_members WHERE user_id = ?)
+    )`,
+    params: [userId, userId]
+  };
+}
+
+/**
+ * Whether a member with one role may change the membership of a member with another role
+ * Owners manage everyone but themselves; admins manage members and viewers.
+ */
+function canManage(actorRole, targetRole) {
+  if (actorRole === 'owner') return targetRole !== 'owner';
+  if (actorRole === 'admin') return targetRole === 'member' || targetRole === 'viewer';
+  return false;
+}
+
+/**
+ * Validate a role that can be granted by invitation or role change
+ * Returns an error message, or null when the role is acceptable
+ */
+function validateGrantedRole(role, actorRole) {
+  if (!['admin', 'member', 'viewer'].includes(role)) {
+    return 'role must be one of: admin, member, viewer';
+  }
+  if (!canManage(actorRole, role)) {
+    return 'Only the workspace owner can grant the admin role';
+  }
+  return null;
+}
+
+/**
+ * Find a workspace with the caller's role and member count, or undefined when they are not a member
+ */
+function findWorkspace(id, userId) {
+  return db.prepare(`
+    SELECT w.id, w.name, w.owner_id as ownerId, m.role, w.created_at, w.updated_at,
+      (SELECT COUNT(*) FROM workspace_members wm WHERE wm.workspace_id = w.id) as membersCount
+    FROM workspaces w
+    JOIN workspace_members m ON m.workspace_id = w.id AND m.user_id = ?
+    WHERE w.id = ?
+  `).get(userId, id);
+}
+
+/**
+ * Load the workspace from the route and the caller's membership
+ * Sends a 404 and returns null when the caller is not a member
+ */
+function loadMembership(req, res) {
+  const userId = Number(req.user.sub);
+  const workspace = findWorkspace(req.params.id, userId);
+  if (!workspace) {
+    res.status(404).json({ error: 'Workspace not found' });
+    return null;
+  }
+  return { userId, workspace, role: workspace.role };
+}
+
+// Columns returned for a workspace member in API responses
+const MEMBER_COLUMNS = 'm.user_id as userId, u.name, u.document, m.role, m.created_at as joined_at';
+
+/**
+ * Convert an invitation row into its API representation
+ */
+function formatInvitation(invitation) {
+  return {
+    id: invitation.id,
+    workspaceId: invitation.workspace_id,
+    workspaceName: invitation.workspace_name,
+    document: invitation.document,
+    role: invitation.role,
+    invitedBy: {
+      id: invitation.invited_by,
+      name: invitation.inviter_name
+    },
+    created_at: invitation.created_at
+  };
+}
+
+// Columns returned for an invitation in API responses
+const INVITATION_COLUMNS = `
+  i.id, i.workspace_id, w.name as workspace_name, i.document, i.role,
+  i.invited_by, u.name as inviter_name, i.created_at
+`;
+
+/**
+ * Find a pending invitation addressed to the caller's document
+ */
+function findOwnInvitation(invitationId, userId) {
+  return db.prepare(`
+    SELECT ${INVITATION_COLUMNS}
+    FROM workspace_invitations i
+    JOIN workspaces w ON w.id = i.workspace_id
+    LEFT JOIN users u ON u.id = i.invited_by
+    WHERE i.id = ? AND i.document = (SELECT document FROM users WHERE id = ?)
+  `).get(invitationId, userId);
+}
+
+/**
+ * @swagger
+ * /workspaces:
+ *   get:
+ *     summary: Get the caller's workspaces
+ *     description: Lists the workspaces the authenticated user belongs to, with their role in each.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of workspaces
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Workspace'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', authenticateToken, (req, res) => {
+  try {
+    const workspaces = db.prepare(`
+      SELECT w.id, w.name, w.owner_id as ownerId, m.role, w.created_at, w.updated_at,
+        (SELECT COUNT(*) FROM workspace_members wm WHERE wm.workspace_id = w.id) as membersCount
+      FROM workspaces w
+      JOIN workspace_members m ON m.workspace_id = w.id AND m.user_id = ?
+      ORDER BY w.name COLLATE NOCASE, w.id
+    `).all(Number(req.user.sub));
+
+    res.json({ data: workspaces });
+  } catch (error) {
+    console.error('Error fetching workspaces:', error);
+    res.status(500).json({ error: 'Failed to fetch workspaces' });
+  }
+});
+
+/**
+ * @swagger
+ * /workspaces:
+ *   post:
+ *     summary: Create a workspace
+ *     description: Creates a workspace with the authenticated user as its owner.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Mobile team
+ *     responses:
+ *       201:
+ *         description: Workspace created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Workspace'
+ *       400:
+ *         description: Invalid request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', authenticateToken, (req, res) => {
+  try {
+    const { name } = req.body;
+    const userId = Number(req.user.sub);
+
+    if (typeof name !== 'string' || name.trim() === '') {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const now = Date.now();
+    const workspaceId = db.transaction(() => {
+      const result = db.prepare(`
+        INSERT INTO workspaces (name, owner_id, created_at, updated_at) VALUES (?, ?, ?, ?)
+      `).run(name.trim(), userId, now, now);
+      db.prepare(`
+        INSERT INTO workspace_members (workspace_id, user_id, role, created_at) VALUES (?, ?, 'owner', ?)
+      `).run(result.lastInsertRowid, userId, now);
+      return result.lastInsertRowid;
+    })();
+
+    res.status(201).json(findWorkspace(workspaceId, userId));
+  } catch (error) {
+    console.error('Error creating workspace:', error);
+    res.status(500).json({ error: 'Failed to create workspace' });
+  }
+});
+
+/**
+ * @swagger
+ * /workspaces/invitations:
+ *   get:
+ *     summary: Get the caller's pending invitations
+ *     description: Lists the pending workspace invitations addressed to the authenticated user's document.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of invitations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WorkspaceInvitation'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/invitations', authenticateToken, (req, res) => {
+  try {
+    const invitations = db.prepare(`
+      SELECT ${INVITATION_COLUMNS}
+      FROM workspace_invitations i
+      JOIN workspaces w ON w.id = i.workspace_id
+      LEFT JOIN users u ON u.id = i.invited_by
+      WHERE i.document = (SELECT document FROM users WHERE id = ?)
+      ORDER BY i.created_at DESC, i.id DESC
+    `).all(Number(req.user.sub));
+
+    res.json({ data: invitations.map(formatInvitation) });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+/**
+ * @swagger
+ * /workspaces/invitations/{invitationId}/accept:
+ *   post:
+ *     summary: Accept a workspace invitation
+ *     description: Joins the workspace with the role given in the invitation.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Workspace'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Invitation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/invitations/:invitationId/accept', authenticateToken, (req, res) => {
+  try {
+    const userId = Number(req.user.sub);
+    const invitation = findOwnInvitation(req.params.invitationId, userId);
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    db.transaction(() => {
+      db.prepare(`
+        INSERT OR IGNORE INTO workspace_members (workspace_id, user_id, role, created_at) VALUES (?, ?, ?, ?)
+      `).run(invitation.workspace_id, userId, invitation.role, Date.now());
+      db.prepare('DELETE FROM workspace_invitations WHERE id = ?').run(invitation.id);
+    })();
+
+    res.json(findWorkspace(invitation.workspace_id, userId));
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+/**
+ * @swagger
+ * /workspaces/invitations/{invitationId}/decline:
+ *   post:
+ *     summary: Decline a workspace invitation
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Invitation ID
+ *     responses:
+ *       204:
+ *         description: Invitation declined
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Invitation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/invitations/:invitationId/decline', authenticateToken, (req, res) => {
+  try {
+    const invitation = findOwnInvitation(req.params.invitationId, Number(req.user.sub));
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    db.prepare('DELETE FROM workspace_invitations WHERE id = ?').run(invitation.id);
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error declining invitation:', error);
+    res.status(500).json({ error: 'Failed to decline invitation' });
+  }
+});
+
+/**
+ * @swagger
+ * /workspaces/{id}:
+ *   get:
+ *     summary: Get a workspace by ID
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Workspace ID
+ *     responses:
+ *       200:
+ *         description: Workspace details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Workspace'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Workspace not found or the caller is not a member
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', authenticateToken, (req, res) => {
+  try {
+    const membership = loadMembership(req, res);
+    if (!membership) return;
+
+    res.json(membership.workspace);
+  } catch (error) {
+    console.error('Error fetching workspace:', error);
+    res.status(500).json({ error: 'Failed to fetch workspace' });
+  }
+});
+
+/**
+ * @swagger
+ * /workspaces/{id}:
+ *   put:
+ *     summary: Rename a workspace
+ *     description: Requires the owner or admin role.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Workspace ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Workspace updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Workspace'
+ *       400:
+ *         description: Invalid request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The caller's role does not allow this
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Workspace not found or the caller is not a member
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id', authenticateToken, (req, res) => {
+  try {
+    const membership = loadMembership(req, res);
+    if (!membership) return;
+
+    if (!MANAGER_ROLES.includes(membership.role)) {
+      return res.status(403).json({ error: 'Only owners and admins can rename the workspace' });
+    }
+
+    const { name } = req.body;
+    if (typeof name !== 'string' || name.trim() === '') {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    db.prepare('UPDATE workspaces SET name = ?, updated_at = ? WHERE id = ?')
+      .run(name.trim(), Date.now(), membership.workspace.id);
+
+    res.json(findWorkspace(membership.workspace.id, membership.userId));
+  } catch (error) {
+    console.error('Error updating workspace:', error);
+    res.status(500).json({ error: 'Failed to update workspace' });
+  }
+});
+
+/**
+ * @swagger
+ * /workspaces/{id}:
+ *   delete:
+ *     summary: Delete a workspace
+ *     description: Permanently deletes the workspace together with its tasks. Requires the owner role.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Workspace ID
+ *     responses:
+ *       204:
+ *         description: Workspace deleted successfully
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The caller is not the owner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Workspace not found or the caller is not a member
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id', authenticateToken, (req, res) => {
+  try {
+    const membership = loadMembership(req, res);
+    if (!membership) return;
+
+    if (membership.role !== 'owner') {
+      return res.status(403).json({ error: 'Only the owner can delete the workspace' });
+    }
+
+    // The workspace's tasks go with it, so their attachment files are removed as well
+    const files = attachmentFiles('SELECT id FROM tasks WHERE workspace_id = ?', [membership.workspace.id]);
+
+    // Members are removed before the tasks so the change log tells each of them the tasks are gone
+    db.transaction(() => {
+      db.prepare('DELETE FROM workspace_members WHERE workspace_id = ?').run(membership.workspace.id);
+      db.prepare('DELETE FROM workspaces WHERE id = ?').run(membership.workspace.id);
+    })();
+    removeAttachmentFiles(files);
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting workspace:', error);
+    res.status(500).json({ error: 'Failed to delete workspace' });
+  }
+});
+
+/**
+ * @swagger
+ * /workspaces/{id}/members:
+ *   get:
+ *     summary: Get the members of a workspace
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Workspace ID
+ *     responses:
+ *       200:
+ *         description: List of members
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WorkspaceMember'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Workspace not found or the caller is not a member
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/members', authenticateToken, (req, res) => {
+  try {
+    const membership = loadMembership(req, res);
+    if (!membership) return;
+
+    const members = db.prepare(`
+      SELECT ${MEMBER_COLUMNS}
+      FROM workspace_members m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.workspace_id = ?
+      ORDER BY CASE m.role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 WHEN 'member' THEN 2 ELSE 3 END, u.name
+    `).all(membership.workspace.id);
+
+    res.json({ data: members });
+  } catch (error) {
+    console.error('Error fetching workspace members:', error);
+    res.status(500).json({ error: 'Failed to fetch workspace members' });
+  }
+});
+
+/**
+ * @swagger
+ * /workspaces/{id}/members/{userId}:
+ *   put:
+ *     summary: Change the role of a member
+ *     description: |
+ *       Owners can change the role of any other member; admins can change members and viewers.
+ *       Only the owner can grant the admin role. The owner role cannot be granted.
+ *       Tasks assigned to a member who becomes a viewer become unassigned.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Workspace ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID of the member
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, member, viewer]
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WorkspaceMember'
+ *       400:
+ *         description: Invalid role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The caller's role does not allow this
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Workspace or member not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id/members/:userId', authenticateToken, (req, res) => {
+  try {
+    const membership = loadMembership(req, res);
+    if (!membership) return;
+
+    const targetUserId = Number(req.params.userId);
+    const targetRole = getWorkspaceRole(membership.workspace.id, targetUserId);
+    if (!targetRole) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (!canManage(membership.role, targetRole)) {
+      return res.status(403).json({ error: 'Your workspace role does not allow changing this member' });
+    }
+
+    const invalid = validateGrantedRole(req.body.role, membership.role);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    // Viewers cannot be assignees, so a member who becomes one is unassigned from their tasks
+    db.transaction(() => {
+      db.prepare('UPDATE workspace_members SET role = ? WHERE workspace_id = ? AND user_id = ?')
+        .run(req.body.role, membership.workspace.id, targetUserId);
+      if (canWriteTasks(req.body.role)) return;
+
+      const audit = { actorId: membership.userId, source: 'rest' };
+      const unassigned = db.prepare(`
+        UPDATE tasks SET assignee_id = NULL, updated_at = ?
+        WHERE workspace_id = ? AND assignee_id = ?
+        RETURNING id
+      `).all(Date.now(), membership.workspace.id, targetUserId);
+      for (const task of unassigned) {
+        recordTaskEvent(task.id, 'update', audit, { assigneeId: targetUserId }, { assigneeId: null });
+      }
+    })();
+
+    const member = db.prepare(`
+      SELECT ${MEMBER_COLUMNS}
+      FROM workspace_members m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.workspace_id = ? AND m.user_id = ?
+    `).get(membership.workspace.id, targetUserId);
+
+    res.json(member);
+  } catch (error) {
+    console.error('Error changing member role:', error);
+    res.status(500).json({ error: 'Failed to change member role' });
+  }
+});
+
+/**
+ * @swagger
+ * /workspaces/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member or leave a workspace
+ *     description: |
+ *       Owners can remove any other member and admins can remove members and viewers.
+ *       Any member except the owner can remove themselves to leave the workspace.
+ *       Tasks created by the removed member stay in the workspace; tasks assigned to them become unassigned.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Workspace ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID of the member
+ *     responses:
+ *       204:
+ *         description: Member removed
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The caller's role does not allow this
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Workspace or member not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id/members/:userId', authenticateToken, (req, res) => {
+  try {
+    const membership = loadMembership(req, res);
+    if (!membership) return;
+
+    const targetUserId = Number(req.params.userId);
+    const targetRole = getWorkspaceRole(membership.workspace.id, targetUserId);
+    if (!targetRole) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const leaving = targetUserId === membership.userId;
+    if (leaving && targetRole === 'owner') {
+      return res.status(403).json({ error: 'The owner cannot leave the workspace' });
+    }
+    if (!leaving && !canManage(membership.role, targetRole)) {
+      return res.status(403).json({ error: 'Your workspace role does not allow removing this member' });
+    }
+
+    // Tasks assigned to the removed member become unassigned
+    db.transaction(() => {
+      const audit = { actorId: membership.userId, source: 'rest' };
+      const unassigned = db.prepare(`
+        UPDATE tasks SET assignee_id = NULL, updated_at = ?
+        WHERE workspace_id = ? AND assignee_id = ?
+        RETURNING id
+      `).all(Date.now(), membership.workspace.id, targetUserId);
+      for (const task of unassigned) {
+        recordTaskEvent(task.id, 'update', audit, { assigneeId: targetUserId }, { assigneeId: null });
+      }
+      db.prepare('DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?')
+        .run(membership.workspace.id, targetUserId);
+    })();
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error removing workspace member:', error);
+    res.status(500).json({ error: 'Failed to remove workspace member' });
+  }
+});
+
+/**
+ * @swagger
+ * /workspaces/{id}/invitations:
+ *   get:
+ *     summary: Get the pending invitations of a workspace
+ *     description: Requires the owner or admin role.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Workspace ID
+ *     responses:
+ *       200:
+ *         description: List of invitations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WorkspaceInvitation'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The caller's role does not allow this
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Workspace not found or the caller is not a member
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/invitations', authenticateToken, (req, res) => {
+  try {
+    const membership = loadMembership(req, res);
+    if (!membership) return;
+
+    if (!MANAGER_ROLES.includes(membership.role)) {
+      return res.status(403).json({ error: 'Only owners and admins can see invitations' });
+    }
+
+    const invitations = db.prepare(`
+      SELECT ${INVITATION_COLUMNS}
+      FROM workspace_invitations i
+      JOIN workspaces w ON w.id = i.workspace_id
+      LEFT JOIN users u ON u.id = i.invited_by
+      WHERE i.workspace_id = ?
+      ORDER BY i.created_at DESC, i.id DESC
+    `).all(membership.workspace.id);
+
+    res.json({ data: invitations.map(formatInvitation) });
+  } catch (error) {
+    console.error('Error fetching workspace invitations:', error);
+    res.status(500).json({ error: 'Failed to fetch workspace invitations' });
+  }
+});
+
+/**
+ * @swagger
+ * /workspaces/{id}/invitations:
+ *   post:
+ *     summary: Invite a user by document
+ *     description: |
+ *       Invites the user with the given document to join the workspace. The document does not need
+ *       to belong to a registered user yet; the invitation shows up in `GET /workspaces/invitations`
+ *       once they sign up. Existing users get a push notification.
+ *       Requires the owner or admin role, and only the owner can invite admins.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Workspace ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - document
+ *             properties:
+ *               document:
+ *                 type: string
+ *                 example: "12.345.678-9"
+ *               role:
+ *                 type: string
+ *                 enum: [admin, member, viewer]
+ *                 default: member
+ *     responses:
+ *       201:
+ *         description: Invitation created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WorkspaceInvitation'
+ *       400:
+ *         description: Invalid request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The caller's role does not allow this
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Workspace not found or the caller is not a member
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The user is already a member or already invited
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/invitations', authenticateToken, async (req, res) => {
+  try {
+    const membership = loadMembership(req, res);
+    if (!membership) return;
+
+    if (!MANAGER_ROLES.includes(membership.role)) {
+      return res.status(403).json({ error: 'Only owners and admins can invite members' });
+    }
+
+    const { document, role = 'member' } = req.body;
+    if (typeof document !== 'string' || document.trim() === '') {
+      return res.status(400).json({ error: 'Document is required' });
+    }
+
+    const invalid = validateGrantedRole(role, membership.role);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const workspaceId = membership.workspace.id;
+    const invitee = db.prepare('SELECT id FROM users WHERE document = ?').get(document.trim());
+
+    if (invitee && getWorkspaceRole(workspaceId, invitee.id)) {
+      return res.status(409).json({ error: 'User is already a member of this workspace' });
+    }
+
+    const pending = db.prepare('SELECT id FROM workspace_invitations WHERE workspace_id = ? AND document = ?')
+      .get(workspaceId, document.trim());
+    if (pending) {
+      return res.status(409).json({ error: 'User has already been invited to this workspace' });
+    }
+
+    const result = db.prepare(`
+      INSERT INTO workspace_invitations (workspace_id, document, role, invited_by, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(workspaceId, document.trim(), role, membership.userId, Date.now());
+
+    if (invitee) {
+      await sendPushNotification(invitee.id, {
+        title: 'Workspace Invitation',
+        body: `You have been invited to join "${membership.workspace.name}"`,
+        data: { type: 'workspace_invitation', workspaceId: String(workspaceId) }
+      });
+    }
+
+    const invitation = db.prepare(`
+      SELECT ${INVITATION_COLUMNS}
+      FROM workspace_invitations i
+      JOIN workspaces w ON w.id = i.workspace_id
+      LEFT JOIN users u ON u.id = i.invited_by
+      WHERE i.id = ?
+    `).get(result.lastInsertRowid);
+
+    res.status(201).json(formatInvitation(invitation));
+  } catch (error) {
+    console.error('Error inviting workspace member:', error);
+    res.status(500).json({ error: 'Failed to invite workspace member' });
+  }
+});
+
+/**
+ * @swagger
+ * /workspaces/{id}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     description: Requires the owner or admin role.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Workspace ID
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Invitation ID
+ *     responses:
+ *       204:
+ *         description: Invitation revoked
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The caller's role does not allow this
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Workspace or invitation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id/invitations/:invitationId', authenticateToken, (req, res) => {
+  try {
+    const membership = loadMembership(req, res);
+    if (!membership) return;
+
+    if (!MANAGER_ROLES.includes(membership.role)) {
+      return res.status(403).json({ error: 'Only owners and admins can revoke invitations' });
+    }
+
+    const result = db.prepare('DELETE FROM workspace_invitations WHERE id = ? AND workspace_id = ?')
+      .run(req.params.invitationId, membership.workspace.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+export default router;
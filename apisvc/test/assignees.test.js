@@ -0,0 +1,85 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, createUser, createWorkspace, db } from './helpers.js';
+
+describe('task assignees', () => {
+  let owner;
+  let member;
+  let viewer;
+  let workspaceId;
+
+  before(async () => {
+    await startServer();
+    owner = await createUser('Owner');
+    member = await createUser('Member');
+    viewer = await createUser('Viewer');
+    workspaceId = await createWorkspace(owner, [[member, 'member'], [viewer, 'viewer']]);
+  });
+
+  after(stopServer);
+
+  it('assigns workspace tasks to members who can change them', async () => {
+    const { body: task } = await owner.send('POST', '/todos', { body: { title: 'Plan sprint', workspaceId } });
+
+    const { status, body } = await owner.send('PUT', `/todos/${task.id}/assign`, { body: { assigneeId: member.id } });
+    assert.equal(status, 200);
+    assert.equal(body.assigneeId, member.id);
+  });
+
+  it('does not assign workspace tasks to viewers', async () => {
+    const { body: task } = await owner.send('POST', '/todos', { body: { title: 'Review budget', workspaceId } });
+
+    const assigned = await owner.send('PUT', `/todos/${task.id}/assign`, { body: { assigneeId: viewer.id } });
+    assert.equal(assigned.status, 400);
+    assert.equal(assigned.body.error, 'Assignee cannot be a viewer of the workspace');
+
+    const created = await owner.send('POST', '/todos', {
+      body: { title: 'Book room', workspaceId, assigneeId: viewer.id }
+    });
+    assert.equal(created.status, 400);
+  });
+
+  it('unassigns a member made a viewer and keeps their former tasks editable', async () => {
+    const demoted = await createUser('Demoted');
+    const teamId = await createWorkspace(owner, [[demoted, 'member']]);
+    const { body: task } = await owner.send('POST', '/todos', {
+      body: { title: 'Write minutes', workspaceId: teamId, assigneeId: demoted.id }
+    });
+    assert.equal(task.assigneeId, demoted.id);
+
+    const { status } = await owner.send('PUT', `/workspaces/${teamId}/members/${demoted.id}`, {
+      body: { role: 'viewer' }
+    });
+    assert.equal(status, 200);
+
+    const { body: unassigned } = await owner.send('GET', `/todos/${task.id}`);
+    assert.equal(unassigned.assigneeId, null);
+
+    const edited = await owner.send('PATCH', `/todos/${task.id}`, { body: { title: 'Write the minutes' } });
+    assert.equal(edited.status, 200);
+    const synced = await owner.send('POST', '/sync', {
+      body: { operations: [{ type: 'UPDATE', serverId: task.id, data: { priority: 'high' } }] }
+    });
+    assert.equal(synced.body.results[0].status, 'success');
+  });
+
+  it('lets tasks whose assignee became a viewer be edited without changing the assignee', async () => {
+    const demoted = await createUser('Demoted directly');
+    const teamId = await createWorkspace(owner, [[demoted, 'member']]);
+    const { body: task } = await owner.send('POST', '/todos', {
+      body: { title: 'Order chairs', workspaceId: teamId, assigneeId: demoted.id }
+    });
+    // A role changed outside the API leaves the assignment in place
+    db.prepare('UPDATE workspace_members SET role = ? WHERE workspace_id = ? AND user_id = ?')
+      .run('viewer', teamId, demoted.id);
+
+    const edited = await owner.send('PATCH', `/todos/${task.id}`, { body: { title: 'Order desks' } });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.assigneeId, demoted.id);
+
+    const synced = await owner.send('POST', '/sync', {
+      body: { operations: [{ type: 'UPDATE', serverId: task.id, data: { completed: true } }] }
+    });
+    assert.equal(synced.body.results[0].status, 'success');
+  });
+});
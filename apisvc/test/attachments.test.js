@@ -0,0 +1,72 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, createUser, db } from './helpers.js';
+
+// Default ATTACHMENT_QUOTA_BYTES
+const QUOTA_BYTES = 100 * 1024 * 1024;
+
+const PNG_HEADER = Buffer.from('89504e470d0a1a0a', 'hex');
+
+/**
+ * Build the form of an upload with a file of the given content, name and type
+ */
+function fileForm(content, filename, type) {
+  const form = new FormData();
+  form.append('file', new Blob([content], { type }), filename);
+  return form;
+}
+
+describe('task attachments', () => {
+  let alice;
+  let taskId;
+
+  before(async () => {
+    await startServer();
+    alice = await createUser('Alice');
+    const { body } = await alice.send('POST', '/todos', { body: { title: 'Expense report' } });
+    taskId = body.id;
+  });
+
+  after(stopServer);
+
+  it('stores a file whose extension and content match its type', async () => {
+    const content = Buffer.concat([PNG_HEADER, Buffer.alloc(32)]);
+    const { status, body } = await alice.send('POST', `/todos/${taskId}/attachments`, {
+      body: fileForm(content, 'receipt.png', 'image/png')
+    });
+    assert.equal(status, 201);
+    assert.equal(body.mimeType, 'image/png');
+    assert.equal(body.size, content.length);
+  });
+
+  it('rejects a file whose content does not match its declared type', async () => {
+    const { status, body } = await alice.send('POST', `/todos/${taskId}/attachments`, {
+      body: fileForm('MZ not really an image', 'receipt.png', 'image/png')
+    });
+    assert.equal(status, 415);
+    assert.equal(body.error, 'File content does not match the image/png type');
+  });
+
+  it('rejects a file whose extension does not match its declared type', async () => {
+    const { status } = await alice.send('POST', `/todos/${taskId}/attachments`, {
+      body: fileForm(Buffer.concat([PNG_HEADER, Buffer.alloc(8)]), 'receipt.exe', 'image/png')
+    });
+    assert.equal(status, 415);
+  });
+
+  it('does not let concurrent uploads exceed the quota together', async () => {
+    const { used } = db.prepare('SELECT COALESCE(SUM(size), 0) as used FROM task_attachments WHERE user_id = ?')
+      .get(alice.id);
+    db.prepare(`
+      INSERT INTO task_attachments (task_id, user_id, filename, stored_name, mime_type, size, sha256)
+      VALUES (?, ?, 'large.pdf', 'large-placeholder', 'application/pdf', ?, '')
+    `).run(taskId, alice.id, QUOTA_BYTES - used - 150);
+
+    const upload = () => alice.send('POST', `/todos/${taskId}/attachments`, {
+      body: fileForm('a'.repeat(100), 'notes.txt', 'text/plain')
+    });
+    const statuses = (await Promise.all([upload(), upload(), upload()])).map(response => response.status);
+
+    assert.deepEqual(statuses.sort(), [201, 413, 413]);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, createUser } from './helpers.js';
+
+describe('task versions and If-Match', () => {
+  let alice;
+
+  before(async () => {
+    await startServer();
+    alice = await createUser('Alice');
+  });
+
+  after(stopServer);
+
+  async function createTask(title = 'Write report') {
+    const { status, body } = await alice.send('POST', '/todos', { body: { title } });
+    assert.equal(status, 201);
+    return body;
+  }
+
+  it('returns the version as the ETag and increases it on every change', async () => {
+    const task = await createTask();
+
+    const read = await alice.send('GET', `/todos/${task.id}`);
+    assert.equal(read.headers.get('etag'), `"${task.version}"`);
+
+    const updated = await alice.send('PATCH', `/todos/${task.id}`, { body: { title: 'Write the report' } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.version, task.version + 1);
+    assert.equal(updated.headers.get('etag'), `"${task.version + 1}"`);
+  });
+
+  it('applies a write whose If-Match is current', async () => {
+    const task = await createTask();
+
+    const { status, body } = await alice.send('PUT', `/todos/${task.id}`, {
+      body: { completed: true },
+      headers: { 'If-Match': `"${task.version}"` }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.completed, true);
+  });
+
+  it('rejects a write made against an outdated copy with 412 and the current copy', async () => {
+    const task = await createTask();
+    await alice.send('PATCH', `/todos/${task.id}`, { body: { body: 'Changed elsewhere' } });
+
+    const { status, body, headers } = await alice.send('PATCH', `/todos/${task.id}`, {
+      body: { title: 'Stale edit' },
+      headers: { 'If-Match': `"${task.version}"` }
+    });
+    assert.equal(status, 412);
+    assert.equal(body.task.title, 'Write report');
+    assert.equal(body.task.body, 'Changed elsewhere');
+    assert.equal(headers.get('etag'), `"${body.task.version}"`);
+  });
+
+  it('rejects a delete made against an outdated copy', async () => {
+    const task = await createTask();
+    await alice.send('PATCH', `/todos/${task.id}`, { body: { priority: 'high' } });
+
+    const stale = await alice.send('DELETE', `/todos/${task.id}`, { headers: { 'If-Match': `"${task.version}"` } });
+    assert.equal(stale.status, 412);
+
+    const current = await alice.send('DELETE', `/todos/${task.id}`, { headers: { 'If-Match': '*' } });
+    assert.equal(current.status, 204);
+  });
+
+  it('applies writes without If-Match unconditionally', async () => {
+    const task = await createTask();
+    await alice.send('PATCH', `/todos/${task.id}`, { body: { priority: 'low' } });
+
+    const { status } = await alice.send('PATCH', `/todos/${task.id}`, { body: { priority: 'urgent' } });
+    assert.equal(status, 200);
+  });
+});
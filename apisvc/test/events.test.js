@@ -0,0 +1,118 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate as nextTick } from 'timers/promises';
+import { startServer, stopServer, createUser, createWorkspace, request, db } from './helpers.js';
+
+const { subscribe } = await import('../src/events.js');
+const { purgeDeletedTasks } = await import('../src/trash.js');
+
+describe('live task events', () => {
+  let baseUrl;
+  let alice;
+  let bob;
+  let received;
+  let unsubscribe;
+
+  before(async () => {
+    baseUrl = await startServer();
+    alice = await createUser('Alice');
+    bob = await createUser('Bob');
+  });
+
+  beforeEach(() => {
+    unsubscribe?.();
+    received = [];
+    unsubscribe = subscribe(bob.id, event => received.push(event));
+  });
+
+  after(() => {
+    unsubscribe?.();
+    return stopServer();
+  });
+
+  /**
+   * Events Bob received, once the ones queued by the last request have been published
+   */
+  async function bobsEvents() {
+    await nextTick();
+    return received.map(({ type, data }) => ({ type, data }));
+  }
+
+  it('streams each change with the task as it was right after that change', async () => {
+    const workspaceId = await createWorkspace(alice, [[bob, 'member']]);
+    const { body: task } = await alice.send('POST', '/todos', { body: { title: 'Draft', workspaceId } });
+    received = [];
+
+    await alice.send('POST', '/sync', {
+      body: {
+        operations: [
+          { type: 'UPDATE', serverId: task.id, data: { title: 'Second draft' } },
+          { type: 'UPDATE', serverId: task.id, data: { title: 'Final', completed: true } }
+        ]
+      }
+    });
+
+    const events = await bobsEvents();
+    assert.deepEqual(events.map(event => event.type), ['task.updated', 'task.completed']);
+    assert.equal(events[0].data.task.title, 'Second draft');
+    assert.equal(events[0].data.task.completed, false);
+    assert.equal(events[1].data.task.title, 'Final');
+    assert.equal(events[1].data.source, 'sync');
+    assert.equal(events[1].data.actorId, alice.id);
+  });
+
+  it('does not stream changes that were rolled back', async () => {
+    const { body: task } = await bob.send('POST', '/todos', { body: { title: 'Keep me' } });
+    received = [];
+
+    const { status } = await bob.send('POST', '/sync', {
+      body: {
+        atomic: true,
+        operations: [
+          { type: 'UPDATE', serverId: task.id, data: { title: 'Never saved' } },
+          { type: 'UPDATE', serverId: 999999, data: { title: 'Missing' } }
+        ]
+      }
+    });
+    assert.equal(status, 409);
+    assert.deepEqual(await bobsEvents(), []);
+  });
+
+  it('streams tasks purged from the trash by the scheduler', async () => {
+    const { body: task } = await bob.send('POST', '/todos', { body: { title: 'Old note' } });
+    await bob.send('DELETE', `/todos/${task.id}`);
+    db.prepare('UPDATE tasks SET deleted_at = 1 WHERE id = ?').run(task.id);
+    received = [];
+
+    purgeDeletedTasks();
+
+    assert.deepEqual(await bobsEvents(), [{ type: 'task.purged', data: { taskId: task.id } }]);
+  });
+
+  it('sends events on the GET /events stream', async () => {
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/events`, {
+      headers: { Authorization: `Bearer ${bob.token}` },
+      signal: controller.signal
+    });
+    assert.equal(response.status, 200);
+
+    await bob.send('POST', '/todos', { body: { title: 'Streamed' } });
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let stream = '';
+    while (!stream.includes('event: task.created')) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      stream += value;
+    }
+    controller.abort();
+
+    assert.match(stream, /event: task\.created\ndata: .*"title":"Streamed"/);
+  });
+
+  it('requires an access token for the stream', async () => {
+    const { status } = await request('GET', '/events');
+    assert.equal(status, 401);
+  });
+});
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import bcrypt from 'bcryptjs';
+
+// Each test file runs in its own process, with an in-memory database and its own attachments
+// directory. They are set before the app is imported, since the modules read them on load.
+const attachmentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'apisvc-test-'));
+process.env.DATABASE_PATH = ':memory:';
+process.env.ATTACHMENTS_DIR = attachmentsDir;
+process.on('exit', () => fs.rmSync(attachmentsDir, { recursive: true, force: true }));
+
+const { default: app } = await import('../src/index.js');
+const { default: db } = await import('../src/database.js');
+const { attachWebSocketServer } = await import('../src/realtime.js');
+
+export { db };
+
+let server;
+let baseUrl;
+let userCount = 0;
+
+/**
+ * Start the app with its WebSocket endpoint on a free port
+ */
+export async function startServer() {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  attachWebSocketServer(server);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return baseUrl;
+}
+
+/**
+ * Stop the server started by startServer
+ */
+export function stopServer() {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+}
+
+/**
+ * Send a request to the server and read its JSON response
+ * Bodies are sent as JSON, except strings and FormData, which are sent as they are.
+ * @returns {Promise<{ status: number, headers: Headers, body: any }>}
+ */
+export async function request(method, url, { token, body, headers = {} } = {}) {
+  const raw = body === undefined || typeof body === 'string' || body instanceof FormData;
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      ...(!raw && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers
+    },
+    body: raw ? body : JSON.stringify(body)
+  });
+  const text = await response.text();
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: text && response.headers.get('content-type')?.includes('json') ? JSON.parse(text) : text
+  };
+}
+
+/**
+ * Create a user and log them in
+ * The password is hashed with a low cost so tests stay fast.
+ * @param {string} [deviceId] - Device the access token is issued for
+ * @returns {Promise<{ id: number, name: string, token: string, send: Function }>} The user, with
+ *   send(method, url, options) making requests with their access token
+ */
+export async function createUser(name = `User ${userCount + 1}`, deviceId) {
+  userCount += 1;
+  const document = `test-${process.pid}-${userCount}`;
+  const password = 'password123';
+  const now = Date.now();
+  const { lastInsertRowid: id } = db.prepare(`
+    INSERT INTO users (document, password_hash, name, created_at, updated_at) VALUES (?, ?, ?, ?, ?)
+  `).run(document, bcrypt.hashSync(password, 4), name, now, now);
+
+  return logIn({ id: Number(id), name, document, password }, deviceId);
+}
+
+/**
+ * Log a user created by createUser in again, for example from another device
+ */
+export async function logIn(user, deviceId) {
+  const { status, body } = await request('POST', '/auth/login', {
+    body: { document: user.document, password: user.password, deviceId }
+  });
+  if (status !== 200) {
+    throw new Error(`Login failed with ${status}: ${JSON.stringify(body)}`);
+  }
+
+  const token = body.accessToken;
+  return { ...user, token, send: (method, url, options = {}) => request(method, url, { ...options, token }) };
+}
+
+/**
+ * Create a workspace owned by a user and add other users to it with a role
+ * @param {Array<[object, string]>} members - Users and their roles
+ * @returns {Promise<number>} The workspace ID
+ */
+export async function createWorkspace(owner, members = []) {
+  const { body } = await owner.send('POST', '/workspaces', { body: { name: `Workspace ${Date.now()}` } });
+  const insert = db.prepare(`
+    INSERT INTO workspace_members (workspace_id, user_id, role, created_at) VALUES (?, ?, ?, ?)
+  `);
+  for (const [member, role] of members) {
+    insert.run(body.id, member.id, role, Date.now());
+  }
+  return body.id;
+}
@@ -0,0 +1,71 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, createUser, db } from './helpers.js';
+
+describe('Idempotency-Key', () => {
+  let alice;
+  let bob;
+
+  before(async () => {
+    await startServer();
+    alice = await createUser('Alice');
+    bob = await createUser('Bob');
+  });
+
+  after(stopServer);
+
+  function countTasks(title) {
+    return db.prepare('SELECT COUNT(*) as count FROM tasks WHERE title = ?').get(title).count;
+  }
+
+  it('replays the first response to a retry instead of creating the task again', async () => {
+    const headers = { 'Idempotency-Key': 'create-groceries' };
+    const first = await alice.send('POST', '/todos', { body: { title: 'Groceries' }, headers });
+    const retry = await alice.send('POST', '/todos', { body: { title: 'Groceries' }, headers });
+
+    assert.equal(first.status, 201);
+    assert.equal(first.headers.get('idempotent-replayed'), null);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(retry.body, first.body);
+    assert.equal(countTasks('Groceries'), 1);
+  });
+
+  it('rejects a key reused with a different body with 422', async () => {
+    const headers = { 'Idempotency-Key': 'create-laundry' };
+    await alice.send('POST', '/todos', { body: { title: 'Laundry' }, headers });
+
+    const { status } = await alice.send('POST', '/todos', { body: { title: 'Ironing' }, headers });
+    assert.equal(status, 422);
+    assert.equal(countTasks('Ironing'), 0);
+  });
+
+  it('scopes keys to the user', async () => {
+    const headers = { 'Idempotency-Key': 'create-dentist' };
+    await alice.send('POST', '/todos', { body: { title: 'Dentist' }, headers });
+
+    const { status, body } = await bob.send('POST', '/todos', { body: { title: 'Dentist' }, headers });
+    assert.equal(status, 201);
+    assert.equal(body.userId, bob.id);
+    assert.equal(countTasks('Dentist'), 2);
+  });
+
+  it('replays sync batches, including the errors of their operations', async () => {
+    const headers = { 'Idempotency-Key': 'sync-batch' };
+    const operations = [{ type: 'UPDATE', serverId: 999999, data: { title: 'Missing' } }];
+    const first = await alice.send('POST', '/sync', { body: { operations }, headers });
+    const retry = await alice.send('POST', '/sync', { body: { operations }, headers });
+
+    assert.equal(retry.status, first.status);
+    assert.deepEqual(retry.body, first.body);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  });
+
+  it('rejects an empty key with 400', async () => {
+    const { status } = await alice.send('POST', '/todos', {
+      body: { title: 'Gym' },
+      headers: { 'Idempotency-Key': '' }
+    });
+    assert.equal(status, 400);
+  });
+});
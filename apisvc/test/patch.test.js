@@ -0,0 +1,49 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, createUser } from './helpers.js';
+
+describe('PATCH /todos/:id', () => {
+  let alice;
+
+  before(async () => {
+    await startServer();
+    alice = await createUser('Alice');
+  });
+
+  after(stopServer);
+
+  it('changes the fields in the patch and resets the ones set to null', async () => {
+    const { body: task } = await alice.send('POST', '/todos', {
+      body: { title: 'Renew passport', body: 'Bring photos', priority: 'high', due_at: 1893456000000 }
+    });
+
+    const { status, body } = await alice.send('PATCH', `/todos/${task.id}`, {
+      body: JSON.stringify({ body: null, due_at: null, completed: true }),
+      headers: { 'Content-Type': 'application/merge-patch+json' }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.title, 'Renew passport');
+    assert.equal(body.body, '');
+    assert.equal(body.due_at, null);
+    assert.equal(body.priority, 'high');
+    assert.equal(body.completed, true);
+  });
+
+  it('does not remove the title', async () => {
+    const { body: task } = await alice.send('POST', '/todos', { body: { title: 'Call bank' } });
+
+    const { status } = await alice.send('PATCH', `/todos/${task.id}`, { body: { title: null } });
+    assert.equal(status, 400);
+  });
+
+  it('rejects a patch that is not valid JSON with 400', async () => {
+    const { body: task } = await alice.send('POST', '/todos', { body: { title: 'Pay rent' } });
+
+    const { status, body } = await alice.send('PATCH', `/todos/${task.id}`, {
+      body: '{"title": "Pay rent",',
+      headers: { 'Content-Type': 'application/merge-patch+json' }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Request body is not valid JSON');
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import WebSocket from 'ws';
+import { startServer, stopServer, createUser } from './helpers.js';
+
+/**
+ * Open a WebSocket session for a user, with a queue of the messages it receives
+ */
+async function connect(baseUrl, user) {
+  const socket = new WebSocket(`${baseUrl.replace('http', 'ws')}/ws`, {
+    headers: { Authorization: `Bearer ${user.token}` }
+  });
+  const messages = [];
+  const waiting = [];
+  socket.on('message', (raw) => {
+    const message = JSON.parse(raw.toString());
+    const index = waiting.findIndex(({ matches }) => matches(message));
+    if (index === -1) {
+      messages.push(message);
+    } else {
+      waiting.splice(index, 1)[0].resolve(message);
+    }
+  });
+
+  /**
+   * Wait for the next message matching a condition
+   */
+  const next = (matches) => {
+    const index = messages.findIndex(matches);
+    if (index !== -1) return Promise.resolve(messages.splice(index, 1)[0]);
+    return new Promise(resolve => waiting.push({ matches, resolve }));
+  };
+
+  await next(message => message.type === 'ready');
+  return {
+    socket,
+    next,
+    send: message => socket.send(JSON.stringify(message)),
+    close: async () => {
+      socket.close();
+      await once(socket, 'close');
+    }
+  };
+}
+
+describe('WebSocket mutations', () => {
+  let baseUrl;
+  let alice;
+  let session;
+  let requestCount = 0;
+
+  before(async () => {
+    baseUrl = await startServer();
+    alice = await createUser('Alice');
+    session = await connect(baseUrl, alice);
+  });
+
+  after(async () => {
+    await session.close();
+    await stopServer();
+  });
+
+  function mutate(message) {
+    const requestId = `r${++requestCount}`;
+    session.send({ type: 'mutate', requestId, ...message });
+    return session.next(reply => reply.requestId === requestId);
+  }
+
+  it('creates, updates and deletes tasks with the results of the REST routes', async () => {
+    const created = await mutate({ action: 'create', data: { title: 'Sketch logo' } });
+    assert.equal(created.type, 'result');
+    assert.equal(created.status, 201);
+    assert.equal(created.body.title, 'Sketch logo');
+
+    const updated = await mutate({
+      action: 'update',
+      taskId: created.body.id,
+      data: { priority: 'high', body: null },
+      version: created.body.version
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.priority, 'high');
+
+    const deleted = await mutate({ action: 'delete', taskId: created.body.id, version: updated.body.version });
+    assert.equal(deleted.status, 204);
+    assert.equal(deleted.body, null);
+
+    const { status } = await alice.send('GET', `/todos/${created.body.id}`);
+    assert.equal(status, 404);
+  });
+
+  it('rejects invalid data and outdated versions as the REST routes do', async () => {
+    const invalid = await mutate({ action: 'create', data: { title: { x: 1 } } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, 'title must be a non-empty string');
+
+    const { body: task } = await alice.send('POST', '/todos', { body: { title: 'Print flyers' } });
+    await alice.send('PATCH', `/todos/${task.id}`, { body: { title: 'Print posters' } });
+
+    const stale = await mutate({ action: 'update', taskId: task.id, data: { title: 'Stale' }, version: task.version });
+    assert.equal(stale.status, 412);
+    assert.equal(stale.body.task.title, 'Print posters');
+
+    const missing = await mutate({ action: 'delete', taskId: 999999 });
+    assert.equal(missing.status, 404);
+  });
+
+  it('streams mutations to the sessions following the task list', async () => {
+    session.send({ type: 'subscribe' });
+    await session.next(message => message.type === 'subscribed');
+
+    const created = await mutate({ action: 'create', data: { title: 'Order stickers' } });
+    const event = await session.next(message => message.type === 'event' && message.event === 'task.created');
+    assert.equal(event.data.task.id, created.body.id);
+    assert.equal(event.data.actorId, alice.id);
+    assert.equal(event.data.source, 'websocket');
+
+    const { body: history } = await alice.send('GET', `/todos/${created.body.id}/history`);
+    assert.equal(history.data[0].source, 'websocket');
+  });
+
+  it('answers unknown actions with an error', async () => {
+    const reply = await mutate({ action: 'archive', taskId: 1 });
+    assert.equal(reply.type, 'error');
+    assert.equal(reply.error, 'action must be one of: create, update, delete');
+  });
+});
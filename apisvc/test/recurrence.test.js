@@ -0,0 +1,183 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, createUser } from './helpers.js';
+
+const { parseRecurrence, nextOccurrence } = await import('../src/recurrence.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Parse a rule that is expected to be valid
+ */
+function rule(text) {
+  const { rule: parsed, error } = parseRecurrence(text);
+  assert.equal(error, undefined);
+  return parsed;
+}
+
+/**
+ * Timestamp of a UTC date at 09:30
+ */
+function at(year, month, day) {
+  return Date.UTC(year, month - 1, day, 9, 30);
+}
+
+/**
+ * The first occurrences of a series that starts at a timestamp
+ */
+function series(text, start, length) {
+  const parsed = rule(text);
+  const dates = [start];
+  while (dates.length < length) {
+    const next = nextOccurrence(parsed, dates[dates.length - 1], dates.length);
+    if (next === null) break;
+    dates.push(next);
+  }
+  return dates;
+}
+
+describe('parseRecurrence', () => {
+  it('reads the supported parts, with or without the RRULE: prefix', () => {
+    assert.deepEqual(rule('rrule:FREQ=weekly;INTERVAL=2;BYDAY=MO,FR;COUNT=4'), {
+      freq: 'WEEKLY', interval: 2, byDay: [1, 5], byMonthDay: null, count: 4, until: null
+    });
+    assert.equal(rule('FREQ=MONTHLY;BYMONTHDAY=-1').byMonthDay, -1);
+    assert.equal(rule('FREQ=DAILY;UNTIL=20240110').until, Date.UTC(2024, 0, 10, 23, 59, 59, 999));
+    assert.equal(rule('FREQ=DAILY;UNTIL=20240110T120000Z').until, Date.UTC(2024, 0, 10, 12));
+  });
+
+  it('rejects rules it cannot follow', () => {
+    const errors = {
+      'FREQ=YEARLY': 'recurrence FREQ must be one of: DAILY, WEEKLY, MONTHLY',
+      'FREQ=DAILY;BYDAY=MO': 'recurrence BYDAY is only supported with FREQ=WEEKLY',
+      'FREQ=WEEKLY;BYMONTHDAY=1': 'recurrence BYMONTHDAY is only supported with FREQ=MONTHLY',
+      'FREQ=MONTHLY;BYMONTHDAY=32': 'recurrence BYMONTHDAY must be between 1 and 31, or -31 and -1',
+      'FREQ=DAILY;INTERVAL=0': 'recurrence INTERVAL must be a positive integer',
+      'FREQ=DAILY;COUNT=2;UNTIL=20240110': 'recurrence cannot have both COUNT and UNTIL',
+      'FREQ=DAILY;UNTIL=2024-01-10': 'recurrence UNTIL must be a date (YYYYMMDD or YYYYMMDDTHHMMSSZ)',
+      'FREQ=DAILY;BYHOUR=9': 'Unsupported recurrence rule part BYHOUR',
+      'FREQ=DAILY;COUNT': 'Invalid recurrence rule part "COUNT"',
+      '': 'recurrence must be an RRULE string'
+    };
+    for (const [text, error] of Object.entries(errors)) {
+      assert.equal(parseRecurrence(text).error, error, text);
+    }
+  });
+});
+
+describe('nextOccurrence', () => {
+  it('steps daily and weekly rules by their interval and keeps the time of day', () => {
+    assert.deepEqual(series('FREQ=DAILY;INTERVAL=3', at(2024, 2, 27), 3), [
+      at(2024, 2, 27), at(2024, 3, 1), at(2024, 3, 4)
+    ]);
+    assert.deepEqual(series('FREQ=WEEKLY;INTERVAL=2', at(2024, 1, 3), 3), [
+      at(2024, 1, 3), at(2024, 1, 17), at(2024, 1, 31)
+    ]);
+  });
+
+  it('visits the listed weekdays of every other week with WEEKLY, BYDAY and INTERVAL=2', () => {
+    // 2024-01-01 is a Monday
+    assert.deepEqual(series('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR', at(2024, 1, 1), 5), [
+      at(2024, 1, 1), at(2024, 1, 5), at(2024, 1, 15), at(2024, 1, 19), at(2024, 1, 29)
+    ]);
+    // A series that starts between the listed days continues in the same week
+    assert.deepEqual(series('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR', at(2024, 1, 3), 3), [
+      at(2024, 1, 3), at(2024, 1, 5), at(2024, 1, 15)
+    ]);
+    // Sunday ends an ISO week, so the next active week starts the day after
+    assert.deepEqual(series('FREQ=WEEKLY;INTERVAL=2;BYDAY=SU,MO', at(2024, 1, 7), 3), [
+      at(2024, 1, 7), at(2024, 1, 15), at(2024, 1, 21)
+    ]);
+  });
+
+  it('lands on the last day of each month with BYMONTHDAY=-1', () => {
+    assert.deepEqual(series('FREQ=MONTHLY;BYMONTHDAY=-1', at(2024, 1, 31), 4), [
+      at(2024, 1, 31), at(2024, 2, 29), at(2024, 3, 31), at(2024, 4, 30)
+    ]);
+    assert.equal(nextOccurrence(rule('FREQ=MONTHLY;BYMONTHDAY=-1'), at(2023, 1, 31)), at(2023, 2, 28));
+  });
+
+  it('skips months without the 31st, with or without BYMONTHDAY', () => {
+    const expected = [at(2024, 1, 31), at(2024, 3, 31), at(2024, 5, 31), at(2024, 7, 31), at(2024, 8, 31)];
+    assert.deepEqual(series('FREQ=MONTHLY;BYMONTHDAY=31', at(2024, 1, 31), 5), expected);
+    assert.deepEqual(series('FREQ=MONTHLY', at(2024, 1, 31), 5), expected);
+  });
+
+  it('moves to a later BYMONTHDAY in the same month and across the year end', () => {
+    assert.equal(nextOccurrence(rule('FREQ=MONTHLY;BYMONTHDAY=20'), at(2024, 1, 5)), at(2024, 1, 20));
+    assert.equal(nextOccurrence(rule('FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=15'), at(2024, 11, 15)), at(2025, 2, 15));
+  });
+
+  it('ends a series after COUNT occurrences', () => {
+    assert.deepEqual(series('FREQ=DAILY;COUNT=3', at(2024, 1, 1), 10), [
+      at(2024, 1, 1), at(2024, 1, 2), at(2024, 1, 3)
+    ]);
+    assert.equal(nextOccurrence(rule('FREQ=DAILY;COUNT=1'), at(2024, 1, 1), 1), null);
+  });
+
+  it('ends a series at UNTIL, which covers the whole day when it has no time', () => {
+    assert.deepEqual(series('FREQ=DAILY;UNTIL=20240103', at(2024, 1, 1), 10), [
+      at(2024, 1, 1), at(2024, 1, 2), at(2024, 1, 3)
+    ]);
+    assert.deepEqual(series('FREQ=DAILY;UNTIL=20240103T090000Z', at(2024, 1, 1), 10), [
+      at(2024, 1, 1), at(2024, 1, 2)
+    ]);
+    assert.deepEqual(series('FREQ=MONTHLY;BYMONTHDAY=31;UNTIL=20240430', at(2024, 1, 31), 10), [
+      at(2024, 1, 31), at(2024, 3, 31)
+    ]);
+  });
+});
+
+describe('next occurrence of a completed task', () => {
+  let alice;
+
+  before(async () => {
+    await startServer();
+    alice = await createUser('Alice');
+  });
+
+  after(stopServer);
+
+  it('is due at the next date of the rule and keeps the reminder offset', async () => {
+    const dueAt = at(2024, 1, 31);
+    const { body: task } = await alice.send('POST', '/todos', {
+      body: {
+        title: 'Pay rent',
+        recurrence: 'FREQ=MONTHLY;BYMONTHDAY=-1',
+        due_at: dueAt,
+        remind_at: dueAt - 2 * DAY_MS
+      }
+    });
+
+    const { body: completed } = await alice.send('PUT', `/todos/${task.id}`, { body: { completed: true } });
+    const { body: next } = await alice.send('GET', `/todos/${completed.nextOccurrenceId}`);
+
+    assert.equal(next.due_at, at(2024, 2, 29));
+    assert.equal(next.remind_at, at(2024, 2, 27));
+    assert.equal(next.occurrence, 2);
+    assert.equal(next.seriesId, task.id);
+    assert.equal(next.completed, false);
+  });
+
+  it('has no reminder when the completed task had none', async () => {
+    const { body: task } = await alice.send('POST', '/todos', {
+      body: { title: 'Water plants', recurrence: 'FREQ=DAILY', due_at: at(2024, 1, 1) }
+    });
+
+    const { body: completed } = await alice.send('PUT', `/todos/${task.id}`, { body: { completed: true } });
+    const { body: next } = await alice.send('GET', `/todos/${completed.nextOccurrenceId}`);
+
+    assert.equal(next.due_at, at(2024, 1, 2));
+    assert.equal(next.remind_at, null);
+  });
+
+  it('is not created once the series has ended', async () => {
+    const { body: task } = await alice.send('POST', '/todos', {
+      body: { title: 'Physio', recurrence: 'FREQ=WEEKLY;COUNT=1', due_at: at(2024, 1, 1) }
+    });
+
+    const { body: completed } = await alice.send('PUT', `/todos/${task.id}`, { body: { completed: true } });
+    assert.equal(completed.nextOccurrenceId, undefined);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate as nextTick } from 'timers/promises';
+import { startServer, stopServer, createUser, createWorkspace } from './helpers.js';
+
+const { subscribe } = await import('../src/events.js');
+
+describe('subtasks moved with their parent', () => {
+  let alice;
+  let bob;
+  let workspaceId;
+
+  before(async () => {
+    await startServer();
+    alice = await createUser('Alice');
+    bob = await createUser('Bob');
+    workspaceId = await createWorkspace(alice, [[bob, 'member']]);
+  });
+
+  after(stopServer);
+
+  it('records the move in the history of each subtask and streams it to the new workspace', async () => {
+    const { body: parent } = await alice.send('POST', '/todos', { body: { title: 'Plan offsite' } });
+    const { body: child } = await alice.send('POST', '/todos', { body: { title: 'Book venue', parentId: parent.id } });
+    const { body: grandchild } = await alice.send('POST', '/todos', {
+      body: { title: 'Compare quotes', parentId: child.id }
+    });
+
+    const received = [];
+    const unsubscribe = subscribe(bob.id, event => received.push(event));
+    const { status } = await alice.send('PATCH', `/todos/${parent.id}`, { body: { workspaceId } });
+    await nextTick();
+    unsubscribe();
+    assert.equal(status, 200);
+
+    for (const subtask of [child, grandchild]) {
+      const { body } = await alice.send('GET', `/todos/${subtask.id}/history`);
+      const [moved] = body.data;
+      assert.equal(moved.event, 'update');
+      assert.deepEqual(moved.before, { workspaceId: null });
+      assert.deepEqual(moved.after, { workspaceId });
+    }
+
+    const streamed = received.map(event => event.data.task.id).sort();
+    assert.deepEqual(streamed, [parent.id, child.id, grandchild.id].sort());
+    assert.ok(received.every(event => event.data.task.workspaceId === workspaceId));
+  });
+});
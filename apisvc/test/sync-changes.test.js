@@ -0,0 +1,88 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, createUser, createWorkspace, db } from './helpers.js';
+
+describe('GET /sync/changes', () => {
+  let alice;
+  let bob;
+
+  before(async () => {
+    await startServer();
+    alice = await createUser('Alice');
+    bob = await createUser('Bob');
+  });
+
+  after(stopServer);
+
+  async function pull(user, since, limit) {
+    const query = new URLSearchParams({ ...(since && { since }), ...(limit && { _limit: limit }) });
+    const { status, body } = await user.send('GET', `/sync/changes?${query}`);
+    assert.equal(status, 200);
+    return body;
+  }
+
+  it('returns every visible task on a full pull and only later changes after a token', async () => {
+    const { body: first } = await alice.send('POST', '/todos', { body: { title: 'Book flights' } });
+    await bob.send('POST', '/todos', { body: { title: 'Not for Alice' } });
+
+    const full = await pull(alice);
+    assert.ok(full.changes.some(task => task.id === first.id));
+    assert.ok(full.changes.every(task => task.userId === alice.id));
+    assert.deepEqual(full.deleted, []);
+
+    const { body: second } = await alice.send('POST', '/todos', { body: { title: 'Book hotel' } });
+    await alice.send('PATCH', `/todos/${first.id}`, { body: { completed: true } });
+    await alice.send('PATCH', `/todos/${first.id}`, { body: { priority: 'high' } });
+
+    const delta = await pull(alice, full.nextToken);
+    assert.deepEqual(delta.changes.map(task => task.id).sort(), [first.id, second.id].sort());
+    assert.equal(delta.changes.find(task => task.id === first.id).priority, 'high');
+
+    const empty = await pull(alice, delta.nextToken);
+    assert.deepEqual(empty.changes, []);
+    assert.equal(empty.nextToken, delta.nextToken);
+  });
+
+  it('sends tombstones for deleted tasks and tasks the user can no longer see', async () => {
+    const workspaceId = await createWorkspace(alice, [[bob, 'member']]);
+    const { body: shared } = await alice.send('POST', '/todos', { body: { title: 'Team lunch', workspaceId } });
+    const { body: trashed } = await bob.send('POST', '/todos', { body: { title: 'Old idea' } });
+    const { nextToken } = await pull(bob);
+
+    await bob.send('DELETE', `/todos/${trashed.id}`);
+    await alice.send('PATCH', `/todos/${shared.id}`, { body: { workspaceId: null } });
+
+    const delta = await pull(bob, nextToken);
+    assert.deepEqual(delta.changes, []);
+    assert.deepEqual(delta.deleted.sort(), [shared.id, trashed.id].sort());
+  });
+
+  it('pages through changes without skipping any', async () => {
+    const { nextToken } = await pull(alice);
+    const created = [];
+    for (const title of ['One', 'Two', 'Three']) {
+      const { body } = await alice.send('POST', '/todos', { body: { title } });
+      created.push(body.id);
+    }
+
+    const firstPage = await pull(alice, nextToken, 2);
+    assert.equal(firstPage.hasMore, true);
+    const secondPage = await pull(alice, firstPage.nextToken, 2);
+    assert.equal(secondPage.hasMore, false);
+    assert.deepEqual([...firstPage.changes, ...secondPage.changes].map(task => task.id), created);
+  });
+
+  it('rejects tokens it did not issue with 400 and pruned tokens with 410', async () => {
+    const invalid = await alice.send('GET', '/sync/changes?since=not-a-token');
+    assert.equal(invalid.status, 400);
+
+    const { nextToken } = await pull(alice);
+    await alice.send('POST', '/todos', { body: { title: 'After the token' } });
+    const { latest } = db.prepare('SELECT MAX(seq) as latest FROM task_changes').get();
+    db.prepare('UPDATE task_changes_state SET pruned_seq = ? WHERE id = 1').run(latest);
+
+    const expired = await alice.send('GET', `/sync/changes?since=${nextToken}`);
+    assert.equal(expired.status, 410);
+    assert.equal(expired.body.resyncRequired, true);
+  });
+});
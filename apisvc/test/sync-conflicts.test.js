@@ -0,0 +1,99 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, createUser } from './helpers.js';
+
+describe('sync conflict strategies', () => {
+  let alice;
+
+  before(async () => {
+    await startServer();
+    alice = await createUser('Alice');
+  });
+
+  after(stopServer);
+
+  /**
+   * Create a task, then change some of its fields on the server as another client would
+   * Returns the task as the offline client last saw it
+   */
+  async function editedOnServer(changes) {
+    const { body: task } = await alice.send('POST', '/todos', { body: { title: 'Draft plan', body: 'Notes' } });
+    await alice.send('PATCH', `/todos/${task.id}`, { body: changes });
+    return task;
+  }
+
+  function sync(operations, conflictStrategy) {
+    return alice.send('POST', '/sync', { body: { operations, conflictStrategy } });
+  }
+
+  it('returns a conflict with both copies by default', async () => {
+    const task = await editedOnServer({ title: 'Final plan' });
+
+    const { body } = await sync([
+      { type: 'UPDATE', serverId: task.id, baseVersion: task.version, data: { title: 'Offline plan' } }
+    ]);
+    assert.equal(body.results[0].status, 'conflict');
+    assert.deepEqual(body.results[0].conflictingFields, ['title']);
+    assert.equal(body.results[0].serverTask.title, 'Final plan');
+  });
+
+  it('merges the fields the server has not changed and keeps its values for the others', async () => {
+    const task = await editedOnServer({ title: 'Final plan' });
+
+    const { body } = await sync([{
+      type: 'UPDATE',
+      serverId: task.id,
+      baseVersion: task.version,
+      data: { title: 'Offline plan', body: 'Offline notes', priority: 'high' }
+    }], 'merge');
+    const [result] = body.results;
+    assert.equal(result.status, 'success');
+    assert.equal(result.resolution, 'merged');
+    assert.deepEqual(result.conflictingFields, ['title']);
+
+    const { body: merged } = await alice.send('GET', `/todos/${task.id}`);
+    assert.equal(merged.title, 'Final plan');
+    assert.equal(merged.body, 'Offline notes');
+    assert.equal(merged.priority, 'high');
+    assert.equal(result.version, merged.version);
+  });
+
+  it('leaves the task unchanged when every field of a merge conflicts', async () => {
+    const task = await editedOnServer({ title: 'Final plan' });
+    const { body: current } = await alice.send('GET', `/todos/${task.id}`);
+
+    const { body } = await sync([
+      { type: 'UPDATE', serverId: task.id, baseVersion: task.version, data: { title: 'Offline plan' } }
+    ], 'merge');
+    assert.equal(body.results[0].resolution, 'merged');
+    assert.deepEqual(body.results[0].conflictingFields, ['title']);
+    assert.equal(body.results[0].version, current.version);
+  });
+
+  it('does not merge a delete of a task changed on the server', async () => {
+    const task = await editedOnServer({ body: 'Changed' });
+
+    const { body } = await sync([{ type: 'DELETE', serverId: task.id, baseVersion: task.version }], 'merge');
+    assert.equal(body.results[0].status, 'conflict');
+
+    const { status } = await alice.send('GET', `/todos/${task.id}`);
+    assert.equal(status, 200);
+  });
+
+  it('applies the client copy with client-wins and keeps the server copy with server-wins', async () => {
+    const task = await editedOnServer({ title: 'Final plan' });
+
+    const serverWins = await sync([
+      { type: 'UPDATE', serverId: task.id, baseVersion: task.version, data: { title: 'Offline plan' } }
+    ], 'server-wins');
+    assert.equal(serverWins.body.results[0].resolution, 'server-wins');
+    assert.equal(serverWins.body.results[0].serverTask.title, 'Final plan');
+
+    const clientWins = await sync([
+      { type: 'UPDATE', serverId: task.id, baseVersion: task.version, data: { title: 'Offline plan' } }
+    ], 'client-wins');
+    assert.equal(clientWins.body.results[0].resolution, 'client-wins');
+    const { body: current } = await alice.send('GET', `/todos/${task.id}`);
+    assert.equal(current.title, 'Offline plan');
+  });
+});
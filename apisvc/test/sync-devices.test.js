@@ -0,0 +1,63 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, createUser, logIn } from './helpers.js';
+
+describe('sync localIds per device', () => {
+  let phone;
+  let tablet;
+
+  before(async () => {
+    await startServer();
+    phone = await createUser('Alice', 'phone');
+    tablet = await logIn(phone, 'tablet');
+  });
+
+  after(stopServer);
+
+  function create(user, localId, title, body = {}) {
+    return user.send('POST', '/sync', {
+      body: { ...body, operations: [{ type: 'CREATE', localId, data: { title } }] }
+    });
+  }
+
+  it('keeps the localIds of two devices apart using the device of their access tokens', async () => {
+    const fromPhone = await create(phone, 'local-1', 'Buy milk');
+    const fromTablet = await create(tablet, 'local-1', 'Call mum');
+    assert.equal(fromPhone.status, 200);
+    assert.equal(fromTablet.status, 200);
+
+    const [phoneResult] = fromPhone.body.results;
+    const [tabletResult] = fromTablet.body.results;
+    assert.notEqual(tabletResult.serverId, phoneResult.serverId);
+    assert.equal(tabletResult.replayed, undefined);
+
+    const { body: task } = await tablet.send('GET', `/todos/${tabletResult.serverId}`);
+    assert.equal(task.title, 'Call mum');
+  });
+
+  it('replays a CREATE retried from the same device', async () => {
+    const first = await create(phone, 'local-2', 'Water plants');
+    const retry = await create(phone, 'local-2', 'Water plants');
+    assert.equal(retry.body.results[0].serverId, first.body.results[0].serverId);
+    assert.equal(retry.body.results[0].replayed, true);
+  });
+
+  it('prefers the deviceId of the request body over the token', async () => {
+    const first = await create(phone, 'local-3', 'Pay bills', { deviceId: 'laptop' });
+    const retry = await create(tablet, 'local-3', 'Pay bills', { deviceId: 'laptop' });
+    assert.equal(retry.body.results[0].serverId, first.body.results[0].serverId);
+  });
+
+  it('rejects localIds when neither the request nor the token has a device', async () => {
+    const withoutDevice = await logIn(phone);
+
+    const { status, body } = await create(withoutDevice, 'local-4', 'Walk dog');
+    assert.equal(status, 400);
+    assert.equal(body.error, 'deviceId is required for operations with a localId');
+
+    const withoutLocalId = await withoutDevice.send('POST', '/sync', {
+      body: { operations: [{ type: 'CREATE', data: { title: 'Walk dog' } }] }
+    });
+    assert.equal(withoutLocalId.status, 200);
+  });
+});
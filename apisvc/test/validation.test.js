@@ -0,0 +1,47 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, createUser } from './helpers.js';
+
+describe('task input validation', () => {
+  let alice;
+  let task;
+
+  before(async () => {
+    await startServer();
+    alice = await createUser('Alice');
+    ({ body: task } = await alice.send('POST', '/todos', { body: { title: 'Pay rent' } }));
+  });
+
+  after(stopServer);
+
+  it('rejects fields of the wrong type on create with 400', async () => {
+    for (const body of [{ title: { x: 1 } }, { title: 'Call bank', body: 5 }, { title: 'Call bank', completed: 'yes' }]) {
+      const { status } = await alice.send('POST', '/todos', { body });
+      assert.equal(status, 400, JSON.stringify(body));
+    }
+
+    const { status, body } = await alice.send('POST', '/todos', { body: { title: { x: 1 } } });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'title must be a non-empty string');
+  });
+
+  it('rejects fields of the wrong type on PUT and PATCH with 400', async () => {
+    const put = await alice.send('PUT', `/todos/${task.id}`, { body: { title: ['Pay'] } });
+    assert.equal(put.status, 400);
+
+    const patch = await alice.send('PATCH', `/todos/${task.id}`, { body: { completed: 1 } });
+    assert.equal(patch.status, 400);
+    assert.equal(patch.body.error, 'completed must be a boolean or null');
+
+    const { body: unchanged } = await alice.send('GET', `/todos/${task.id}`);
+    assert.equal(unchanged.version, task.version);
+  });
+
+  it('gives sync operations the same errors as the REST routes', async () => {
+    const { status, body } = await alice.send('POST', '/sync', {
+      body: { operations: [{ type: 'CREATE', localId: 'a', data: { title: { x: 1 } } }] }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.results[0].error, 'title must be a non-empty string');
+  });
+});